@@ -1,7 +1,9 @@
 import React, { useState, useMemo } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { splitPlayByHour } from './play-intervals.js';
+import { getCountingRules, countsTowardTotals } from './dataset-options.js';
 
-const ArtistByTimeOfDay = ({ rawPlayData = [], formatDuration }) => {
+const ArtistByTimeOfDay = ({ rawPlayData = [], formatDuration, timezoneSettings = null, datasetOptions = null }) => {
   const [selectedTimePeriod, setSelectedTimePeriod] = useState('all');
   const [artistLimit, setArtistLimit] = useState(5);
   
@@ -25,49 +27,45 @@ const ArtistByTimeOfDay = ({ rawPlayData = [], formatDuration }) => {
       all: {}
     };
     
+    // Period of the day an hour belongs to
+    const getPeriodKey = (hour) => {
+      for (const [key, period] of Object.entries(timePeriods)) {
+        if (period.hours.includes(hour)) {
+          return key;
+        }
+      }
+      return 'all';
+    };
+    
+    const getStats = (group, name) => {
+      if (!group[name]) {
+        group[name] = {
+          plays: 0,
+          totalMs: 0
+        };
+      }
+      return group[name];
+    };
+    
+    const rules = getCountingRules(datasetOptions);
+    
     rawPlayData.forEach(entry => {
-      if (entry.ms_played >= 30000 && entry.master_metadata_album_artist_name) { // Only significant plays
-        const date = new Date(entry.ts);
-        const hour = date.getHours();
+      if (countsTowardTotals(entry, rules) && entry.master_metadata_album_artist_name) {
+        const segments = splitPlayByHour(entry, timezoneSettings, datasetOptions);
+        if (segments.length === 0) return;
         const artist = entry.master_metadata_album_artist_name;
         
-        // Add to hourly data
-        if (!artistsByHour[hour][artist]) {
-          artistsByHour[hour][artist] = {
-            plays: 0,
-            totalMs: 0
-          };
-        }
-        artistsByHour[hour][artist].plays += 1;
-        artistsByHour[hour][artist].totalMs += entry.ms_played;
-        
-        // Determine which period this hour belongs to
-        let periodKey = 'all';
-        for (const [key, period] of Object.entries(timePeriods)) {
-          if (period.hours.includes(hour)) {
-            periodKey = key;
-            break;
-          }
-        }
-        
-        // Add to period data
-        if (!artistsByPeriod[periodKey][artist]) {
-          artistsByPeriod[periodKey][artist] = {
-            plays: 0,
-            totalMs: 0
-          };
-        }
-        artistsByPeriod[periodKey][artist].plays += 1;
-        artistsByPeriod[periodKey][artist].totalMs += entry.ms_played;
+        // The play counts in the hour it started; its minutes go to every hour it ran through
+        const startHour = segments[0].parts.hour;
+        getStats(artistsByHour[startHour], artist).plays += 1;
+        getStats(artistsByPeriod[getPeriodKey(startHour)], artist).plays += 1;
+        segments.forEach(({ parts, ms }) => {
+          getStats(artistsByHour[parts.hour], artist).totalMs += ms;
+          getStats(artistsByPeriod[getPeriodKey(parts.hour)], artist).totalMs += ms;
+        });
         
         // Also add to "all" category
-        if (!artistsByPeriod.all[artist]) {
-          artistsByPeriod.all[artist] = {
-            plays: 0,
-            totalMs: 0
-          };
-        }
-        artistsByPeriod.all[artist].plays += 1;
+        getStats(artistsByPeriod.all, artist).plays += 1;
         artistsByPeriod.all[artist].totalMs += entry.ms_played;
       }
     });
@@ -115,7 +113,7 @@ const ArtistByTimeOfDay = ({ rawPlayData = [], formatDuration }) => {
       periodTopArtists,
       timePeriods
     };
-  }, [rawPlayData]);
+  }, [rawPlayData, timezoneSettings, datasetOptions]);
   
   // Format period data for display based on selected period and artist limit
   const periodChartData = useMemo(() => {
@@ -1,8 +1,11 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import { startOfDay, endOfDay, subDays, format } from 'date-fns';
 import { normalizeString, createMatchKey } from './streaming-adapter.js';
+import { toWallClockDate } from './timezone.js';
+import { getCountingRules } from './dataset-options.js';
+import { getPlayInterval } from './play-intervals.js';
 
-const CustomTrackRankings = ({ rawPlayData = [], formatDuration, initialArtists = []  }) => {
+const CustomTrackRankings = ({ rawPlayData = [], formatDuration, initialArtists = [], timezoneSettings = null, datasetOptions = null }) => {
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
   const [topN, setTopN] = useState(50);
@@ -20,19 +23,22 @@ const CustomTrackRankings = ({ rawPlayData = [], formatDuration, initialArtists
 
 useEffect(() => {
   if (!startDate && !endDate && rawPlayData.length > 0) {
-    let earliest = new Date(rawPlayData[0].ts);
-    let latest = new Date(rawPlayData[0].ts);
+    // The range runs from the first play to start to the last, on the listener's wall clock
+    let earliest = null;
+    let latest = null;
     
     for (const entry of rawPlayData) {
-      const date = new Date(entry.ts);
-      if (date < earliest) earliest = date;
-      if (date > latest) latest = date;
+      const interval = getPlayInterval(entry, datasetOptions);
+      if (!interval) continue;
+      if (earliest === null || interval.start < earliest) earliest = interval.start;
+      if (latest === null || interval.start > latest) latest = interval.start;
     }
+    if (earliest === null) return;
     
-    setStartDate(format(earliest, 'yyyy-MM-dd'));
-    setEndDate(format(latest, 'yyyy-MM-dd'));
+    setStartDate(format(toWallClockDate(earliest, timezoneSettings), 'yyyy-MM-dd'));
+    setEndDate(format(toWallClockDate(latest, timezoneSettings), 'yyyy-MM-dd'));
   }
-}, [rawPlayData, startDate, endDate]);
+}, [rawPlayData, startDate, endDate, timezoneSettings, datasetOptions]);
 
   // Get unique artists from raw play data
   const allArtists = useMemo(() => {
@@ -60,13 +66,17 @@ const filteredTracks = useMemo(() => {
   const end = endDate ? endOfDay(new Date(endDate)) : new Date();
   
   const trackStats = {};
+  const { minPlayMs } = getCountingRules(datasetOptions);
   rawPlayData.forEach(entry => {
     try {
-      const timestamp = new Date(entry.ts);
+      // Compare when the play started on the listener's wall clock, like the date pickers
+      const interval = getPlayInterval(entry, datasetOptions);
+      if (!interval) return;
+      const timestamp = toWallClockDate(interval.start, timezoneSettings);
       if (
         timestamp >= start && 
         timestamp <= end && 
-        entry.ms_played >= 30000 && 
+        entry.ms_played >= minPlayMs && 
         entry.master_metadata_track_name &&
         (selectedArtists.length === 0 || selectedArtists.includes(entry.master_metadata_album_artist_name))
       ) {
@@ -120,7 +130,7 @@ const filteredTracks = useMemo(() => {
   return Object.values(trackStats)
     .sort((a, b) => b[sortBy] - a[sortBy])
     .slice(0, topN);
-}, [rawPlayData, startDate, endDate, topN, sortBy, selectedArtists]);
+}, [rawPlayData, startDate, endDate, topN, sortBy, selectedArtists, timezoneSettings, datasetOptions]);
 
 const setQuickRange = (days) => {
     const currentStart = startDate ? new Date(startDate) : new Date();
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import ExcelJS from 'exceljs';
 import { Download } from 'lucide-react';
+import { DEFAULT_COUNTING_RULES, describeCountingRules } from './dataset-options.js';
+import { formatPlayCount } from './artist-credits.js';
 
 const ExportButton = ({ 
   stats, 
@@ -9,7 +11,8 @@ const ExportButton = ({
   processedData, 
   briefObsessions,
   songsByYear,
-  formatDuration 
+  formatDuration,
+  countingRules = DEFAULT_COUNTING_RULES
 }) => {
   const [isExporting, setIsExporting] = useState(false);
   const [error, setError] = useState(null);
@@ -27,8 +30,9 @@ summarySheet.addRows([
   ['Total Entries', stats.totalEntries],
   ['Total Songs', stats.processedSongs],
   ['Total Listening Time', formatDuration(stats.totalListeningTime)],
-  ['Very Short Plays (<30s)', stats.shortPlays],
+  [`Very Short Plays (<${countingRules.minPlayMs / 1000}s)`, stats.shortPlays],
   ['Entries with No Track Name', stats.nullTrackNames],
+  ['Plays with Estimated Time or Length', stats.estimatedPlays || 0],
 ]);
 
 // Add service listening time breakdown if available
@@ -40,6 +44,11 @@ if (stats.serviceListeningTime && Object.keys(stats.serviceListeningTime).length
   });
 }
 
+// The rules every number in this workbook was counted with
+summarySheet.addRow([]);
+summarySheet.addRow(['Counting Rules']);
+describeCountingRules(countingRules).forEach(row => summarySheet.addRow(row));
+
 
     // Top Artists Sheet
     const artistsSheet = workbook.addWorksheet('Top Artists');
@@ -51,7 +60,7 @@ if (stats.serviceListeningTime && Object.keys(stats.serviceListeningTime).length
         index + 1,
         artist.name,
         formatDuration(artist.totalPlayed),
-        artist.playCount,
+        formatPlayCount(artist.playCount),
         formatDuration(artist.totalPlayed / artist.playCount)
       ]);
     });
@@ -1,9 +1,10 @@
 "use client";
 
-import React, { useState, useCallback, useMemo, useEffect} from 'react';
-import { streamingProcessor, STREAMING_TYPES, STREAMING_SERVICES } from './streaming-adapter.js';
+import React, { useState, useCallback, useMemo, useEffect, useRef} from 'react';
+import { streamingProcessor, STREAMING_TYPES, STREAMING_SERVICES, getAdapters, hasValidTimestamp, mergeImportReports } from './streaming-adapter.js';
 import { Card, CardHeader, CardTitle, CardContent } from './ui/Card';
 import ExportButton from './ExportButton.js';
+import ListenBrainzExporter from './listenbrainz-exporter.js';
 import CustomTrackRankings from './CustomTrackRankings.js';
 import TrackRankings from './TrackRankings.js';
 import PodcastRankings from './podcast-rankings.js';
@@ -15,6 +16,23 @@ import { X, Trash2, Check, ChevronUp, ChevronDown } from 'lucide-react';
 import YearSelector from './year-selector.js';
 import SupportOptions from './support-options.js';
 import AlbumCard from './albumcard.js';
+import DataQuality from './data-quality.js';
+import TimestampReview from './timestamp-review.js';
+import TrackMatchReview from './track-match-review.js';
+import { runAnalysisTask } from './analysis-client.js';
+import { mergeLibraries, isLibraryEmpty } from './library-data.js';
+import LibrarySummary from './library-summary.js';
+import { saveDataset, loadDataset, getDatasetInfo, clearDataset } from './dataset-store.js';
+import TimezoneSettings from './timezone-settings.js';
+import TripsTimeline from './trips-timeline.js';
+import { getLocalParts } from './timezone.js';
+import { createDatasetOptions, isExcludedPlay, isOfflinePlay } from './dataset-options.js';
+import CountingRulesSettings from './counting-rules-settings.js';
+import { ARTIST_ATTRIBUTION_MODES, formatPlayCount } from './artist-credits.js';
+import AliasRulesEditor from './alias-rules-editor.js';
+import { DEFAULT_ALIAS_RULES, loadAliasRules, saveAliasRules } from './alias-rules.js';
+import ColumnMappingWizard from './column-mapping-wizard.js';
+import { getProfileAdapterId, loadAdapterProfiles, saveAdapterProfiles } from './column-mapping.js';
 
 const calculateSpotifyScore = (playCount, totalPlayed, lastPlayedTimestamp) => {
   const now = new Date();
@@ -36,6 +54,8 @@ const SpotifyAnalyzer = () => {
   const [topArtistsCount, setTopArtistsCount] = useState(10);
   const [topAlbumsCount, setTopAlbumsCount] = useState(20);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const cancelAnalysisRef = useRef(null);
   const [error, setError] = useState(null);
   const [stats, setStats] = useState(null);
   const [briefObsessions, setBriefObsessions] = useState([]);
@@ -49,6 +69,27 @@ const SpotifyAnalyzer = () => {
   const [selectedTrackYear, setSelectedTrackYear] = useState('all');
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [uploadedFileList, setUploadedFileList] = useState(null);
+  const [skippedFiles, setSkippedFiles] = useState([]);
+  const [fileDetections, setFileDetections] = useState({});
+  const [adapterOverrides, setAdapterOverrides] = useState({});
+  const [dataLimitations, setDataLimitations] = useState([]);
+  const [trackMatches, setTrackMatches] = useState([]);
+  const [importReport, setImportReport] = useState(null);
+  // Favourites and playlists from exports that have them, see library-data.js
+  const [library, setLibrary] = useState(null);
+  const [savedDatasetInfo, setSavedDatasetInfo] = useState(null);
+  const [datasetFileNames, setDatasetFileNames] = useState([]);
+  const [mergeIntoExisting, setMergeIntoExisting] = useState(false);
+  const [mergeSummary, setMergeSummary] = useState(null);
+  // null means the browser's own timezone
+  const [timezoneSettings, setTimezoneSettings] = useState(null);
+  const [datasetOptions, setDatasetOptions] = useState(createDatasetOptions);
+  // Kept in the browser rather than with the dataset; loaded once mounted
+  const [aliasRules, setAliasRules] = useState(DEFAULT_ALIAS_RULES);
+  const [adapterProfiles, setAdapterProfiles] = useState([]);
+  const [mappingFile, setMappingFile] = useState(null);
+  const [isReanalyzing, setIsReanalyzing] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
   const [selectedArtistYear, setSelectedArtistYear] = useState('all');
   const [showServiceInfo, setShowServiceInfo] = useState({});
   const [selectedAlbumYear, setSelectedAlbumYear] = useState('all');
@@ -70,6 +111,10 @@ const SpotifyAnalyzer = () => {
       unselected: 'bg-red-400 text-black',
       selected: 'bg-red-600 text-black'
     },
+    tidal: {
+      unselected: 'bg-gray-700 text-white',
+      selected: 'bg-black text-white'
+    },
     deezer: {
       unselected: 'bg-purple-300 text-black',
       selected: 'bg-purple-600 text-black'
@@ -77,6 +122,14 @@ const SpotifyAnalyzer = () => {
     soundcloud: {
       unselected: 'bg-orange-400 text-white',
       selected: 'bg-orange-600 text-white'
+    },
+    lastfm: {
+      unselected: 'bg-red-700 text-white',
+      selected: 'bg-red-800 text-white'
+    },
+    listenbrainz: {
+      unselected: 'bg-orange-300 text-black',
+      selected: 'bg-orange-500 text-black'
     }
   };
   
@@ -117,6 +170,21 @@ const formatDuration = (ms) => {
     }
   }, [yearRangeMode, selectedArtistYear]);
 
+  // Look for an analysis saved in a previous session
+  useEffect(() => {
+    setAliasRules(loadAliasRules());
+    setAdapterProfiles(loadAdapterProfiles());
+    getDatasetInfo()
+      .then(setSavedDatasetInfo)
+      .catch(err => console.error("Error reading saved analysis:", err));
+  }, []);
+
+  const persistDataset = useCallback((results, fileNames) => {
+    saveDataset(results, fileNames)
+      .then(setSavedDatasetInfo)
+      .catch(err => console.error("Error saving analysis:", err));
+  }, []);
+
   const filteredArtists = useMemo(() => {
     const allArtists = Array.from(new Set(topAlbums.map(album => album.artist))).sort();
     return allArtists
@@ -224,8 +292,7 @@ const displayedAlbums = useMemo(() => {
     const endYear = parseInt(albumYearRange.endYear);
     
     filteredAlbums = artistFilteredAlbums.filter(album => {
-      const albumDate = new Date(album.firstListen);
-      const albumYear = albumDate.getFullYear();
+      const albumYear = getLocalParts(album.firstListen, timezoneSettings).year;
       return albumYear >= startYear && albumYear <= endYear;
     });
   } else if (selectedAlbumYear !== 'all') {
@@ -233,8 +300,7 @@ const displayedAlbums = useMemo(() => {
     const year = parseInt(selectedAlbumYear);
     
     filteredAlbums = artistFilteredAlbums.filter(album => {
-      const albumDate = new Date(album.firstListen);
-      const albumYear = albumDate.getFullYear();
+      const albumYear = getLocalParts(album.firstListen, timezoneSettings).year;
       return albumYear === year;
     });
   } else {
@@ -264,7 +330,7 @@ const displayedAlbums = useMemo(() => {
       topTrack // Add this property
     };
   });
-}, [topAlbums, selectedArtists, selectedAlbumYear, albumYearRangeMode, albumYearRange, processedData]);
+}, [topAlbums, selectedArtists, selectedAlbumYear, albumYearRangeMode, albumYearRange, processedData, timezoneSettings]);
 
   // Toggle a service in the selection
   const toggleServiceSelection = (serviceType) => {
@@ -292,6 +358,18 @@ const displayedAlbums = useMemo(() => {
       .join(',');
   };
 
+  // Combine the "appears on" tracks of one artist across years
+  const mergeAppearances = (first = [], second = []) => {
+    const byTrack = {};
+    [...first, ...second].forEach(song => {
+      const key = `${song.trackName}-${song.artist}`;
+      byTrack[key] = byTrack[key]
+        ? { ...byTrack[key], playCount: byTrack[key].playCount + song.playCount }
+        : song;
+    });
+    return _.orderBy(Object.values(byTrack), ['playCount'], ['desc']).slice(0, 5);
+  };
+
   // Update the displayedArtists useMemo function in SpotifyAnalyzer.js
   // This is the critical part that filters the artists based on the selected year or year range
   const displayedArtists = useMemo(() => {
@@ -351,6 +429,8 @@ const displayedAlbums = useMemo(() => {
           // Merge with existing artist data
           mergedArtists[name].totalPlayed += artist.totalPlayed;
           mergedArtists[name].playCount += artist.playCount;
+          mergedArtists[name].featuredPlayCount = (mergedArtists[name].featuredPlayCount || 0) + (artist.featuredPlayCount || 0);
+          mergedArtists[name].appearsOn = mergeAppearances(mergedArtists[name].appearsOn, artist.appearsOn);
           
           // Update most played song if necessary
           if (artist.mostPlayedSong && mergedArtists[name].mostPlayedSong &&
@@ -377,40 +457,230 @@ const displayedAlbums = useMemo(() => {
     }
   }, [topArtists, artistsByYear, selectedArtistYear, yearRangeMode, yearRange]);
 
+  // Plays with a flagged timestamp can't be placed in time, so the
+  // time-based tabs only get the ones that can
+  const timedPlayData = useMemo(
+    () => rawPlayData.filter(entry => hasValidTimestamp(entry)),
+    [rawPlayData]
+  );
+
+  // Rankings built from raw plays leave out the same plays as the analysis
+  const rankedPlayData = useMemo(
+    () => timedPlayData.filter(entry => !isExcludedPlay(entry, datasetOptions.countingRules)),
+    [timedPlayData, datasetOptions]
+  );
+
+  const offlinePlayCount = useMemo(
+    () => rawPlayData.filter(isOfflinePlay).length,
+    [rawPlayData]
+  );
+
+  // Only the Spotify extended history says which country a play came from
+  const hasCountryData = useMemo(
+    () => rawPlayData.some(entry => entry.conn_country),
+    [rawPlayData]
+  );
+
+  const applyAnalysis = useCallback((results) => {
+    setStats(results.stats);
+    setTopArtists(results.topArtists);
+    setArtistsByYear(results.artistsByYear || {});
+    setTopAlbums(results.topAlbums);
+    
+    // Make sure we're using the totalPlayed value for sorting in the main list too
+    const sortedTracks = _.orderBy(results.processedTracks, ['totalPlayed'], ['desc']);
+    setProcessedData(sortedTracks);
+    
+    setSongsByYear(results.songsByYear);
+    setBriefObsessions(results.briefObsessions);
+    setRawPlayData(results.rawPlayData);
+    setDataLimitations(results.dataLimitations || []);
+    setTrackMatches(results.trackMatches || []);
+  }, []);
+
+  // Re-run the analysis on entries already imported, e.g. after repairs or a
+  // change to the timezone settings or dataset options
+  const reanalyzeEntries = useCallback(async (updatedEntries, options) => {
+    setIsReanalyzing(true);
+    try {
+      const results = await runAnalysisTask({
+        type: 'analyze',
+        entries: updatedEntries,
+        options
+      }).promise;
+      const updatedResults = {
+        ...results,
+        stats: { ...results.stats, totalFiles: stats ? stats.totalFiles : 0 },
+        skippedFiles,
+        importReport,
+        library
+      };
+      applyAnalysis(updatedResults);
+      persistDataset(updatedResults, datasetFileNames);
+    } catch (err) {
+      console.error("Error re-analysing data:", err);
+      setError(err.message);
+    } finally {
+      setIsReanalyzing(false);
+    }
+  }, [applyAnalysis, persistDataset, stats, skippedFiles, importReport, library, datasetFileNames]);
+
+  const handleTimestampRepair = useCallback((updatedEntries) => {
+    reanalyzeEntries(updatedEntries, { timezoneSettings, datasetOptions, aliasRules });
+  }, [reanalyzeEntries, timezoneSettings, datasetOptions, aliasRules]);
+
+  const handleTimezoneChange = useCallback((settings) => {
+    setTimezoneSettings(settings);
+    reanalyzeEntries(rawPlayData, { timezoneSettings: settings, datasetOptions, aliasRules });
+  }, [reanalyzeEntries, rawPlayData, datasetOptions, aliasRules]);
+
+  const handleDatasetOptionChange = useCallback((key, value) => {
+    const options = { ...datasetOptions, [key]: value };
+    setDatasetOptions(options);
+    reanalyzeEntries(rawPlayData, { timezoneSettings, datasetOptions: options, aliasRules });
+  }, [reanalyzeEntries, rawPlayData, timezoneSettings, datasetOptions, aliasRules]);
+
+  const handleAliasRulesChange = useCallback((rules) => {
+    setAliasRules(rules);
+    saveAliasRules(rules);
+    reanalyzeEntries(rawPlayData, { timezoneSettings, datasetOptions, aliasRules: rules });
+  }, [reanalyzeEntries, rawPlayData, timezoneSettings, datasetOptions]);
+
   const processFiles = useCallback(async (fileList) => {
-    // Set loading state and wait for next render cycle
     setIsProcessing(true);
+    setError(null);
+    setProgress({ label: 'Starting', percent: 0 });
     console.log("Starting to process files:", fileList);
-    await new Promise(resolve => setTimeout(resolve, 0));
     
     try {
-      const results = await streamingProcessor.processFiles(fileList);
+      // When adding to the current analysis, start from its plays, or from the
+      // saved dataset if nothing has been restored yet
+      let base = null;
+      if (mergeIntoExisting) {
+        if (rawPlayData.length > 0) {
+          base = { entries: rawPlayData, importReport, skippedFiles, library, fileNames: datasetFileNames };
+        } else {
+          const saved = await loadDataset();
+          if (saved) {
+            base = {
+              entries: saved.results.rawPlayData,
+              importReport: saved.results.importReport,
+              skippedFiles: saved.results.skippedFiles || [],
+              library: saved.results.library || null,
+              fileNames: saved.uploadedFiles || []
+            };
+          }
+        }
+      }
+
+      // Parsing and aggregation run in a worker so the page stays responsive
+      const task = runAnalysisTask(
+        {
+          type: 'process',
+          files: Array.from(fileList),
+          options: { adapterOverrides, baseEntries: base ? base.entries : [], timezoneSettings, datasetOptions, aliasRules, adapterProfiles }
+        },
+        { onProgress: setProgress }
+      );
+      cancelAnalysisRef.current = task.cancel;
+      const results = await task.promise;
+      if (!results) return null; // Cancelled
       console.log("Got results:", results);
       console.log('Total Artists:', results.topArtists.length);
-      setStats(results.stats);
-      setTopArtists(results.topArtists);
-      setArtistsByYear(results.artistsByYear || {});
-      setTopAlbums(results.topAlbums);
-      
-      // Make sure we're using the totalPlayed value for sorting in the main list too
-      const sortedTracks = _.orderBy(results.processedTracks, ['totalPlayed'], ['desc']);
-      setProcessedData(sortedTracks);
-      
-      setSongsByYear(results.songsByYear);
-      setBriefObsessions(results.briefObsessions);
-      setRawPlayData(results.rawPlayData);
 
       const fileNames = Array.from(fileList).map(file => file.name);
+      const datasetFiles = base ? _.uniq([...base.fileNames, ...fileNames]) : fileNames;
+      const combinedResults = base ? {
+        ...results,
+        skippedFiles: [...base.skippedFiles, ...results.skippedFiles],
+        importReport: mergeImportReports(base.importReport, results.importReport),
+        library: base.library || results.library ? mergeLibraries(base.library, results.library) : null
+      } : results;
+
+      applyAnalysis(combinedResults);
+      setSkippedFiles(combinedResults.skippedFiles || []);
+      setImportReport(combinedResults.importReport || null);
+      setLibrary(combinedResults.library || null);
+      setMergeSummary(results.mergeSummary || null);
+
       setUploadedFiles(fileNames);
+      setDatasetFileNames(datasetFiles);
+      persistDataset(combinedResults, datasetFiles);
 
       setActiveTab('stats');
+      return combinedResults;
     } catch (err) {
       console.error("Error processing files:", err);
       setError(err.message);
     } finally {
+      cancelAnalysisRef.current = null;
       setIsProcessing(false);
+      setProgress(null);
     }
-  }, []);
+  }, [adapterOverrides, applyAnalysis, persistDataset, mergeIntoExisting, rawPlayData, importReport, skippedFiles, library, datasetFileNames, timezoneSettings, datasetOptions, aliasRules, adapterProfiles]);
+
+  const handleRestoreDataset = async () => {
+    setIsRestoring(true);
+    setError(null);
+    try {
+      const saved = await loadDataset();
+      if (!saved) {
+        setError('The saved analysis could not be restored. Please upload your files again.');
+        setSavedDatasetInfo(null);
+        return;
+      }
+
+      // Datasets saved by an older version keep their entries, but their
+      // rankings were keyed differently, so they are rebuilt and saved again
+      let results = saved.results;
+      if (saved.needsReanalysis) {
+        const analysis = await runAnalysisTask({
+          type: 'analyze',
+          entries: results.rawPlayData,
+          options: { timezoneSettings: results.timezoneSettings || null, datasetOptions: results.datasetOptions, aliasRules }
+        }).promise;
+        results = {
+          ...analysis,
+          stats: { ...analysis.stats, totalFiles: results.stats ? results.stats.totalFiles : 0 },
+          skippedFiles: results.skippedFiles,
+          importReport: results.importReport,
+          library: results.library
+        };
+        persistDataset(results, saved.uploadedFiles || []);
+      }
+
+      applyAnalysis(results);
+      setSkippedFiles(results.skippedFiles || []);
+      setImportReport(results.importReport || null);
+      setLibrary(results.library || null);
+      setDatasetFileNames(saved.uploadedFiles || []);
+      setMergeSummary(null);
+      setTimezoneSettings(results.timezoneSettings || null);
+      setDatasetOptions(createDatasetOptions(results.datasetOptions));
+      setActiveTab('stats');
+    } catch (err) {
+      console.error("Error restoring saved analysis:", err);
+      setError(err.message);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const handleClearDataset = async () => {
+    try {
+      await clearDataset();
+      setSavedDatasetInfo(null);
+    } catch (err) {
+      console.error("Error clearing saved analysis:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleCancelProcessing = () => {
+    if (cancelAnalysisRef.current) {
+      cancelAnalysisRef.current();
+    }
+  };
 
   const handleFileUpload = (e) => {
     const newFiles = e.target.files;
@@ -433,9 +703,58 @@ const displayedAlbums = useMemo(() => {
     // Update state with combined files
     setUploadedFileList(combinedFiles);
     setUploadedFiles(updatedFileNames);
+
+    // Sniff the new files so the list can show which adapter will read each one
+    detectFileFormats(newFileObjects, adapterProfiles);
+  };
+
+  const detectFileFormats = (fileObjects, profiles) => {
+    streamingProcessor.detectFiles(fileObjects, { adapterProfiles: profiles })
+      .then(detections => {
+        setFileDetections(prev => {
+          const updated = { ...prev };
+          detections.forEach(detection => {
+            updated[detection.name] = detection;
+          });
+          return updated;
+        });
+      })
+      .catch(err => console.error("Error detecting file formats:", err));
+  };
+
+  // Saved column mappings become adapters, so the uploaded files are detected
+  // again in case more of them match
+  const updateAdapterProfiles = (profiles) => {
+    setAdapterProfiles(profiles);
+    saveAdapterProfiles(profiles);
+    if (uploadedFileList) detectFileFormats(uploadedFileList, profiles);
+  };
+
+  const handleSaveAdapterProfile = (profile) => {
+    updateAdapterProfiles([...adapterProfiles.filter(saved => saved.id !== profile.id), profile]);
+    handleAdapterOverride(mappingFile.name, getProfileAdapterId(profile));
+    setMappingFile(null);
+  };
+
+  const handleDeleteAdapterProfile = (profileId) => {
+    const adapterId = getProfileAdapterId({ id: profileId });
+    updateAdapterProfiles(adapterProfiles.filter(profile => profile.id !== profileId));
+    setAdapterOverrides(prev => _.omitBy(prev, override => override === adapterId));
   };
 
   // Add the handleDeleteFile function here
+  const handleAdapterOverride = (fileName, adapterId) => {
+    setAdapterOverrides(prev => {
+      const updated = { ...prev };
+      if (adapterId) {
+        updated[fileName] = adapterId;
+      } else {
+        delete updated[fileName];
+      }
+      return updated;
+    });
+  };
+
   const handleDeleteFile = (indexToDelete) => {
     // Remove the file from uploadedFiles array
     const updatedFileNames = uploadedFiles.filter((_, index) => index !== indexToDelete);
@@ -465,8 +784,10 @@ const displayedAlbums = useMemo(() => {
     
     setTimeout(() => {
       processFiles(uploadedFileList)
-        .then(() => {
-          setActiveTab('stats');
+        .then((results) => {
+          if (results) {
+            setActiveTab('stats');
+          }
         })
         .catch(err => {
           console.error("Error processing files:", err);
@@ -524,6 +845,10 @@ const displayedAlbums = useMemo(() => {
           return activeTab === tabId 
             ? 'bg-purple-100 text-purple-600 border-b-2 border-purple-600' 
             : 'bg-purple-200 text-purple-600 hover:bg-purple-300';
+        case 'quality':
+          return activeTab === tabId 
+            ? 'bg-slate-50 text-slate-700 border-b-2 border-slate-700' 
+            : 'bg-slate-200 text-slate-700 hover:bg-slate-300';
         case 'artists':
           return activeTab === tabId 
             ? 'bg-emerald-50 text-teal-600 border-b-2 border-teal-600' 
@@ -556,6 +881,14 @@ const displayedAlbums = useMemo(() => {
           return activeTab === tabId 
             ? 'bg-green-50 text-green-600 border-b-2 border-green-600' 
             : 'bg-green-200 text-green-600 hover:bg-green-300';
+        case 'trips':
+          return activeTab === tabId 
+            ? 'bg-cyan-50 text-cyan-700 border-b-2 border-cyan-700' 
+            : 'bg-cyan-200 text-cyan-700 hover:bg-cyan-300';
+        case 'aliases':
+          return activeTab === tabId 
+            ? 'bg-amber-50 text-amber-700 border-b-2 border-amber-700' 
+            : 'bg-amber-200 text-amber-700 hover:bg-amber-300';
         default:
           return '';
       }
@@ -582,6 +915,7 @@ const displayedAlbums = useMemo(() => {
           <div className="flex gap-2 border-b border-violet-200 min-w-max"> 
             <TabButton id="upload" label="Upload" />
             {stats && <TabButton id="stats" label="Statistics" />}
+            {importReport && <TabButton id="quality" label="Data quality" />}
             {topArtists.length > 0 && <TabButton id="artists" label={getArtistsTabLabel()} />}
       {topAlbums.length > 0 && <TabButton id="albums" label={getAlbumsTabLabel()} />}
             {processedData.length > 0 && <TabButton id="tracks" label={getTracksTabLabel()} />}
@@ -590,6 +924,8 @@ const displayedAlbums = useMemo(() => {
             {processedData.length > 0 && <TabButton id="patterns" label="Listening Patterns" />}
             {processedData.length > 0 && <TabButton id="behavior" label="Listening Behavior" />}
             {processedData.length > 0 && <TabButton id="discovery" label="Music Discovery" />}
+            {hasCountryData && <TabButton id="trips" label="Trips" />}
+            {rawPlayData.length > 0 && <TabButton id="aliases" label="Aliases" />}
           </div>
         </div>
         
@@ -600,10 +936,39 @@ const displayedAlbums = useMemo(() => {
               <ol className="list-decimal list-inside space-y-1 text-blue-700">
                 <li>Select your streaming service below</li>
                 <li>Download your streaming history</li>
-                <li>Upload your file(s)</li>
+                <li>Upload your file(s) or the whole export .zip</li>
                 <li>Click "Calculate Statistics"</li>
               </ol>
             </div>
+
+            {savedDatasetInfo && (
+              <div className="my-4 p-4 border rounded bg-green-50 border-green-300">
+                <h3 className="font-semibold mb-1 text-green-800">Saved analysis</h3>
+                <p className="text-sm text-green-700">
+                  {savedDatasetInfo.entryCount.toLocaleString()} plays from {savedDatasetInfo.uploadedFiles.length} file(s),
+                  saved {new Date(savedDatasetInfo.savedAt).toLocaleString()}.
+                  {savedDatasetInfo.usageBytes !== null && (
+                    <> Using {(savedDatasetInfo.usageBytes / (1024 * 1024)).toFixed(1)} MB of browser storage.</>
+                  )}
+                </p>
+                <div className="flex flex-wrap gap-2 mt-2">
+                  <button
+                    onClick={handleRestoreDataset}
+                    disabled={isRestoring || isProcessing}
+                    className="px-4 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:bg-green-400"
+                  >
+                    {isRestoring ? 'Restoring...' : 'Restore last analysis'}
+                  </button>
+                  <button
+                    onClick={handleClearDataset}
+                    disabled={isRestoring}
+                    className="flex items-center px-4 py-1 bg-white text-red-600 border border-red-300 rounded hover:bg-red-50"
+                  >
+                    <Trash2 size={16} className="mr-1" /> Clear saved data
+                  </button>
+                </div>
+              </div>
+            )}
             
             <h3 className="font-bold text-orange-700 mb-3">Select Streaming Services:</h3>
                      
@@ -636,14 +1001,16 @@ const displayedAlbums = useMemo(() => {
                     {showServiceInfo[type] && (
                       <div className="mt-2 text-sm text-orange-700">
                         <p className="mb-2">{service.instructions}</p>
-                        <a
-                          href={service.downloadUrl}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="text-orange-600 hover:text-orange-800 underline"
-                        >
-                          Download your data here
-                        </a>
+                        {service.downloadUrl && (
+                          <a
+                            href={service.downloadUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-orange-600 hover:text-orange-800 underline"
+                          >
+                            Download your data here
+                          </a>
+                        )}
                         <p className="mt-1">Accepted formats: {service.acceptedFormats}</p>
                       </div>
                     )}
@@ -697,6 +1064,26 @@ const displayedAlbums = useMemo(() => {
                     Cakeculating...
                   </p>
                 </div>
+                {progress && (
+                  <div className="w-full max-w-md">
+                    <div className="flex justify-between text-sm text-orange-700 mb-1">
+                      <span className="truncate mr-2">{progress.label}</span>
+                      <span>{progress.percent}%</span>
+                    </div>
+                    <div className="w-full h-3 bg-orange-100 rounded border border-orange-300 overflow-hidden">
+                      <div
+                        className="h-full bg-orange-500 transition-all"
+                        style={{ width: `${progress.percent}%` }}
+                      />
+                    </div>
+                  </div>
+                )}
+                <button
+                  onClick={handleCancelProcessing}
+                  className="px-4 py-1 bg-white text-orange-700 border border-orange-300 rounded hover:bg-orange-50"
+                >
+                  Cancel
+                </button>
               </div>
             )}
               
@@ -704,20 +1091,71 @@ const displayedAlbums = useMemo(() => {
               <div className="mt-4">
                 <h4 className="text-orange-700 font-semibold mb-2">Uploaded Files:</h4>
                 <ul className="list-disc list-inside text-orange-600 space-y-1">
-                  {uploadedFiles.map((fileName, index) => (
-                    <li key={index} className="flex items-center">
-                      <span className="mr-2">{fileName}</span>
-                      <button 
-                        onClick={() => handleDeleteFile(index)}
-                        className="p-1 bg-gray-500 text-white rounded-full hover:bg-red-600 transition-colors"
-                        title="Remove file"
-                      >
-                        <Trash2 size={14} />
-                      </button>
-                    </li>
-                  ))}
+                  {uploadedFiles.map((fileName, index) => {
+                    const detection = fileDetections[fileName];
+                    return (
+                      <li key={index} className="flex flex-wrap items-center gap-y-1">
+                        <span className="mr-2">{fileName}</span>
+                        {detection && detection.isArchive ? (
+                          <span className="mr-2 text-xs text-orange-500">(archive - contents detected automatically)</span>
+                        ) : detection && (
+                          <select
+                            value={adapterOverrides[fileName] || ''}
+                            onChange={(e) => handleAdapterOverride(fileName, e.target.value)}
+                            className="mr-2 text-xs border rounded px-1 py-0.5 text-orange-700"
+                            title="Format used to read this file"
+                          >
+                            <option value="">
+                              {detection.adapterName ? `Auto: ${detection.adapterName}` : 'Auto: not recognised'}
+                            </option>
+                            {getAdapters(adapterProfiles).map(adapter => (
+                              <option key={adapter.id} value={adapter.id}>{adapter.name}</option>
+                            ))}
+                          </select>
+                        )}
+                        {detection && !detection.isArchive && uploadedFileList && uploadedFileList[index] && (
+                          <button
+                            onClick={() => setMappingFile(uploadedFileList[index])}
+                            className="mr-2 text-xs px-2 py-0.5 bg-orange-100 text-orange-700 rounded hover:bg-orange-200"
+                            title="Say which column holds the date, artist, track and so on"
+                          >
+                            Map columns
+                          </button>
+                        )}
+                        <button 
+                          onClick={() => handleDeleteFile(index)}
+                          className="p-1 bg-gray-500 text-white rounded-full hover:bg-red-600 transition-colors"
+                          title="Remove file"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </li>
+                    );
+                  })}
                 </ul>
+
+                {mappingFile && (
+                  <ColumnMappingWizard
+                    file={mappingFile}
+                    profiles={adapterProfiles}
+                    onSave={handleSaveAdapterProfile}
+                    onDelete={handleDeleteAdapterProfile}
+                    onClose={() => setMappingFile(null)}
+                  />
+                )}
                 
+                {(rawPlayData.length > 0 || savedDatasetInfo) && (
+                  <label className="flex items-center mt-4 text-orange-700">
+                    <input
+                      type="checkbox"
+                      checked={mergeIntoExisting}
+                      onChange={(e) => setMergeIntoExisting(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Add these files to the current analysis instead of replacing it (plays already in it are skipped)
+                  </label>
+                )}
+
                 <button
                   onClick={handleProcessFiles}
                   disabled={isProcessing}
@@ -741,6 +1179,52 @@ const displayedAlbums = useMemo(() => {
           <div className="p-4 bg-purple-100 rounded border-2 border-purple-300">
             <h3 className="font-bold mb-2 text-purple-700">Processing Statistics:</h3>
             <div className="space-y-4">
+              {dataLimitations.map(limitation => (
+                <div key={limitation.source} className="p-3 bg-yellow-50 border border-yellow-300 rounded text-yellow-800">
+                  <div className="font-semibold">
+                    {limitation.entries} entries come from {limitation.source}, which doesn&apos;t include everything the extended history has.
+                  </div>
+                  <div className="text-sm mt-1">Not available for these plays:</div>
+                  <ul className="list-disc list-inside text-sm">
+                    {limitation.unavailable.map(analysis => (
+                      <li key={analysis}>{analysis}</li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+
+              {mergeSummary && (mergeSummary.existing > 0 || mergeSummary.overlapping > 0 || mergeSummary.conflicting > 0 || mergeSummary.duplicateScrobbles > 0 || mergeSummary.filledScrobbles > 0) && (
+                <div className="p-3 bg-blue-50 border border-blue-300 rounded text-blue-800">
+                  <div className="font-semibold">
+                    {mergeSummary.added.toLocaleString()} new plays added
+                    {mergeSummary.existing > 0 && ` to the ${mergeSummary.existing.toLocaleString()} already in your analysis`}
+                  </div>
+                  <ul className="list-disc list-inside text-sm mt-1">
+                    {mergeSummary.overlapping > 0 && (
+                      <li>{mergeSummary.overlapping.toLocaleString()} overlapping plays were already included and skipped</li>
+                    )}
+                    {mergeSummary.conflicting > 0 && (
+                      <li>{mergeSummary.conflicting.toLocaleString()} conflicting plays (same time and track, different play length) kept the version already included</li>
+                    )}
+                    {mergeSummary.duplicateScrobbles > 0 && (
+                      <li>{mergeSummary.duplicateScrobbles.toLocaleString()} Last.fm and ListenBrainz scrobbles of plays already in your Spotify history were dropped</li>
+                    )}
+                    {mergeSummary.filledScrobbles > 0 && (
+                      <li>{mergeSummary.filledScrobbles.toLocaleString()} Last.fm and ListenBrainz scrobbles took their length from Spotify plays of the same track</li>
+                    )}
+                    {mergeSummary.extendedStart && (
+                      <li>History now starts earlier, on {new Date(mergeSummary.extendedStart).toLocaleDateString()}</li>
+                    )}
+                    {mergeSummary.extendedEnd && (
+                      <li>History now runs later, until {new Date(mergeSummary.extendedEnd).toLocaleDateString()}</li>
+                    )}
+                    {mergeSummary.existing > 0 && !mergeSummary.extendedStart && !mergeSummary.extendedEnd && (
+                      <li>The date range did not change</li>
+                    )}
+                  </ul>
+                </div>
+              )}
+
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
                   <ul className="space-y-1 text-purple-700">
@@ -749,13 +1233,46 @@ const displayedAlbums = useMemo(() => {
                     <li>Processed songs: {stats.processedSongs}</li>
                     <li>Entries with no track name: {stats.nullTrackNames}</li>
                     <li>Skipped tracks: {stats.skippedEntries}</li>
-                    <li>Plays under 30s: {stats.shortPlays}</li>
+                    <li>Plays under {datasetOptions.countingRules.minPlayMs / 1000}s: {stats.shortPlays}</li>
+                    {stats.incognitoPlays > 0 && <li>Private session plays: {stats.incognitoPlays}</li>}
+                    {stats.estimatedPlays > 0 && (
+                      <li>Plays with an estimated time or length: {stats.estimatedPlays}</li>
+                    )}
+                    {stats.excludedPlays > 0 && (
+                      <li>Plays left out by the counting rules: {stats.excludedPlays}</li>
+                    )}
+                    {stats.aliasedPlays > 0 && (
+                      <li>
+                        Plays renamed by alias rules: {stats.aliasedPlays}{' '}
+                        <button onClick={() => setActiveTab('aliases')} className="underline">edit rules</button>
+                      </li>
+                    )}
+                    {stats.invalidTimestamps > 0 && (
+                      <li>
+                        Plays with invalid timestamps: {stats.invalidTimestamps}{' '}
+                        <button onClick={() => setActiveTab('quality')} className="underline">review</button>
+                      </li>
+                    )}
                   </ul>
+
+                  {skippedFiles.length > 0 && (
+                    <div className="mt-4 pt-3 border-t border-purple-200">
+                      <div className="font-semibold text-purple-700 mb-2">Skipped Files ({skippedFiles.length}):</div>
+                      <ul className="space-y-1 text-sm max-h-48 overflow-y-auto">
+                        {skippedFiles.map((file, index) => (
+                          <li key={index} className="text-purple-600">
+                            <span className="break-all">{file.name}</span>
+                            <span className="text-purple-400"> - {file.reason}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
                 </div>
                 <div className="bg-purple-50 p-3 rounded space-y-2">
                   <div className="font-semibold mb-1 text-purple-700">Total Listening Time:</div>
                   <div className="text-2xl text-purple-700">{formatDuration(stats.totalListeningTime)}</div>
-                  <div className="text-sm text-purple-600">(only counting plays over 30 seconds)</div>
+                  <div className="text-sm text-purple-600">(only counting plays of at least {datasetOptions.countingRules.minPlayMs / 1000} seconds)</div>
                   
                   {/* Service breakdown */}
                   {stats.serviceListeningTime && Object.keys(stats.serviceListeningTime).length > 0 && (
@@ -774,8 +1291,53 @@ const displayedAlbums = useMemo(() => {
                 </div>
               </div>
 
+              {!isLibraryEmpty(library) && (
+                <div className="pt-3 border-t border-purple-200">
+                  <div className="font-semibold text-purple-700 mb-2">Library:</div>
+                  <LibrarySummary library={library} processedData={processedData} />
+                </div>
+              )}
+
+              <div className="pt-3 border-t border-purple-200">
+                <div className="font-semibold text-purple-700 mb-2">Counting rules:</div>
+                <CountingRulesSettings
+                  rules={datasetOptions.countingRules}
+                  onApply={(rules) => handleDatasetOptionChange('countingRules', rules)}
+                  isApplying={isReanalyzing}
+                />
+              </div>
+
+              <div className="pt-3 border-t border-purple-200">
+                <div className="font-semibold text-purple-700 mb-2">Offline plays:</div>
+                <div className="space-y-1 text-purple-700">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={datasetOptions.useOfflineTimestamp}
+                      onChange={(e) => handleDatasetOptionChange('useOfflineTimestamp', e.target.checked)}
+                      disabled={isReanalyzing}
+                    />
+                    Place offline plays at the time they were played, not when they synced
+                    <span className="text-sm text-purple-500">({offlinePlayCount} plays)</span>
+                  </label>
+                </div>
+              </div>
+
+              <div className="pt-3 border-t border-purple-200">
+                <div className="font-semibold text-purple-700 mb-2">Timezone:</div>
+                <TimezoneSettings
+                  settings={timezoneSettings}
+                  onApply={handleTimezoneChange}
+                  isApplying={isReanalyzing}
+                />
+              </div>
+
               {stats && processedData.length > 0 && (
-                <div className="mt-4 flex justify-end">
+                <div className="mt-4 flex flex-wrap justify-end gap-4">
+                  <ListenBrainzExporter
+                    rawPlayData={rawPlayData}
+                    countingRules={datasetOptions.countingRules}
+                  />
                   <ExportButton
                     stats={stats}
                     topArtists={topArtists}
@@ -784,6 +1346,7 @@ const displayedAlbums = useMemo(() => {
                     briefObsessions={briefObsessions}
                     formatDuration={formatDuration}
                     songsByYear={songsByYear}
+                    countingRules={datasetOptions.countingRules}
                   />
    <SupportOptions />
                 </div>
@@ -792,6 +1355,22 @@ const displayedAlbums = useMemo(() => {
           </div>
         )}
                 
+        {activeTab === 'quality' && importReport && (
+          <div className="p-4 bg-slate-100 rounded border-2 border-slate-300">
+            <h3 className="font-bold mb-2 text-slate-700">Data Quality</h3>
+            <DataQuality importReport={importReport} />
+            <h4 className="font-semibold text-slate-700 mt-6 mb-2">Timestamp review</h4>
+            <TimestampReview rawPlayData={rawPlayData} onRepair={handleTimestampRepair} />
+            <h4 className="font-semibold text-slate-700 mt-6 mb-2">Cross-service track matches</h4>
+            <TrackMatchReview
+              matches={trackMatches}
+              decisions={datasetOptions.trackMatchDecisions}
+              onDecide={(decisions) => handleDatasetOptionChange('trackMatchDecisions', decisions)}
+              isApplying={isReanalyzing}
+            />
+          </div>
+        )}
+                
         {activeTab === 'artists' && (
           <div className="p-4 bg-teal-100 rounded border-2 border-teal-300">
             <div className="flex justify-between items-center mb-4">
@@ -815,6 +1394,22 @@ const displayedAlbums = useMemo(() => {
               </div>
             </div>
             
+            <div className="flex flex-wrap items-center gap-2 mb-4 text-teal-700">
+              <label htmlFor="artist-attribution">Featured artists:</label>
+              <select
+                id="artist-attribution"
+                value={datasetOptions.artistAttribution}
+                onChange={(e) => handleDatasetOptionChange('artistAttribution', e.target.value)}
+                disabled={isReanalyzing}
+                className="border rounded px-2 py-1"
+              >
+                {Object.entries(ARTIST_ATTRIBUTION_MODES).map(([mode, label]) => (
+                  <option key={mode} value={mode}>{label}</option>
+                ))}
+              </select>
+              {isReanalyzing && <span className="text-sm">Applying...</span>}
+            </div>
+
             <YearSelector 
               artistsByYear={artistsByYear}
               onYearChange={setSelectedArtistYear}
@@ -861,13 +1456,16 @@ const displayedAlbums = useMemo(() => {
                     <div className="text-sm text-teal-400">
                       Total Time: <span className="font-bold">{formatDuration(artist.totalPlayed)}</span>
                       <br/>
-                      Plays: <span className="font-bold"> {artist.playCount}</span>
+                      Plays: <span className="font-bold"> {formatPlayCount(artist.playCount)}</span>
+                      {artist.featuredPlayCount > 0 && (
+                        <span className="text-xs"> ({formatPlayCount(artist.featuredPlayCount)} as a featured artist)</span>
+                      )}
                       <br/>
                       Most Played Song: <span className="font-bold">{artist.mostPlayedSong?.trackName || "N/A"}</span> 
                       <br/>
                       Plays: <span className="font-bold">{artist.mostPlayedSong?.playCount || 0}</span>
                       <br/>
-                      First Listen: <span className="font-bold">{new Date(artist.firstListen).toLocaleDateString()}</span>
+                      First Listen: <span className="font-bold">{artist.firstListen ? new Date(artist.firstListen).toLocaleDateString() : 'Unknown'}</span>
                       {artist.longestStreak > 1 && (
                         <>
                           <br/>
@@ -891,6 +1489,18 @@ const displayedAlbums = useMemo(() => {
                           Current Streak: <span className="font-bold text-teal-800">{artist.currentStreak} days</span>
                         </>
                       )}
+                      {artist.appearsOn && artist.appearsOn.length > 0 && (
+                        <div className="mt-2 pt-2 border-t border-teal-100">
+                          <span className="text-teal-600">Appears on:</span>
+                          <ul className="text-xs">
+                            {artist.appearsOn.map(song => (
+                              <li key={`${song.trackName}-${song.artist}`}>
+                                {song.trackName} by {song.artist} ({song.playCount}x)
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
                     </div>
                     <div className="absolute bottom-1 right-3 text-teal-600 text-[2rem]">{index + 1}</div>
                   </div>
@@ -993,16 +1603,14 @@ const displayedAlbums = useMemo(() => {
         const endYear = parseInt(albumYearRange.endYear);
         
         filteredAlbums = filteredAlbums.filter(album => {
-          const albumDate = new Date(album.firstListen);
-          const albumYear = albumDate.getFullYear();
+          const albumYear = getLocalParts(album.firstListen, timezoneSettings).year;
           return albumYear >= startYear && albumYear <= endYear;
         });
       } else if (selectedAlbumYear !== 'all') {
         const year = parseInt(selectedAlbumYear);
         
         filteredAlbums = filteredAlbums.filter(album => {
-          const albumDate = new Date(album.firstListen);
-          const albumYear = albumDate.getFullYear();
+          const albumYear = getLocalParts(album.firstListen, timezoneSettings).year;
           return albumYear === year;
         });
       }
@@ -1072,7 +1680,9 @@ return (
           >
             <h3 className="font-bold mb-2 text-orange-700">Custom Date Range Analysis</h3>
             <CustomTrackRankings 
-              rawPlayData={rawPlayData}
+              rawPlayData={rankedPlayData}
+              timezoneSettings={timezoneSettings}
+              datasetOptions={datasetOptions}
               formatDuration={formatDuration}
               initialArtists={selectedArtists}
             />
@@ -1086,7 +1696,9 @@ return (
           >
             <h3 className="font-bold mb-2 text-indigo-700">Podcast Analysis</h3>
             <PodcastRankings 
-              rawPlayData={rawPlayData}
+              rawPlayData={rankedPlayData}
+              timezoneSettings={timezoneSettings}
+              datasetOptions={datasetOptions}
               formatDuration={formatDuration}
             />
           </div>
@@ -1096,7 +1708,9 @@ return (
           <div className="p-4 bg-purple-100 rounded border-2 border-purple-300">
             <h3 className="font-bold mb-2 text-purple-700">Listening Patterns</h3>
             <ListeningPatterns 
-              rawPlayData={rawPlayData} 
+              rawPlayData={timedPlayData}
+              timezoneSettings={timezoneSettings} 
+              datasetOptions={datasetOptions}
               formatDuration={formatDuration} 
             />
           </div>
@@ -1106,7 +1720,9 @@ return (
           <div className="p-4 bg-indigo-100 rounded border-2 border-indigo-300">
             <h3 className="font-bold mb-2 text-indigo-700">Listening Behavior</h3>
             <ListeningBehavior 
-              rawPlayData={rawPlayData} 
+              rawPlayData={timedPlayData}
+              timezoneSettings={timezoneSettings} 
+              datasetOptions={datasetOptions}
               formatDuration={formatDuration} 
             />
           </div>
@@ -1116,11 +1732,38 @@ return (
           <div className="p-4 bg-green-100 rounded border-2 border-green-300">
             <h3 className="font-bold mb-2 text-green-700">Music Discovery</h3>
             <DiscoveryAnalysis 
-              rawPlayData={rawPlayData} 
+              rawPlayData={timedPlayData}
+              timezoneSettings={timezoneSettings} 
+              datasetOptions={datasetOptions}
               formatDuration={formatDuration} 
             />
           </div>
         )}
+
+        {activeTab === 'trips' && (
+          <div className="p-4 bg-cyan-100 rounded border-2 border-cyan-300">
+            <h3 className="font-bold mb-2 text-cyan-700">Trips</h3>
+            <TripsTimeline
+              rawPlayData={timedPlayData}
+              formatDuration={formatDuration}
+              timezoneSettings={timezoneSettings}
+              onTimezoneChange={handleTimezoneChange}
+              isApplying={isReanalyzing}
+            />
+          </div>
+        )}
+
+        {activeTab === 'aliases' && (
+          <div className="p-4 bg-amber-100 rounded border-2 border-amber-300">
+            <h3 className="font-bold mb-2 text-amber-700">Aliases</h3>
+            <AliasRulesEditor
+              rules={aliasRules}
+              rawPlayData={rawPlayData}
+              onApply={handleAliasRulesChange}
+              isApplying={isReanalyzing}
+            />
+          </div>
+        )}
        </div>
       </CardContent>
     </Card>
@@ -83,7 +83,7 @@ const AlbumCard = ({ album, index, processedData, formatDuration }) => {
         <br/>
         Tracks: <span className="font-bold">{normalizedTrackCount}</span>
         <br/> 
-        First Listen: <span className="font-bold">{new Date(album.firstListen).toLocaleDateString()}</span>
+        First Listen: <span className="font-bold">{album.firstListen ? new Date(album.firstListen).toLocaleDateString() : 'Unknown'}</span>
       </div>
       
       {/* Divider */}
@@ -0,0 +1,258 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  ALIAS_FIELDS,
+  DEFAULT_ALIAS_RULES,
+  createAliasRule,
+  findAliasSuggestions,
+  suggestionToRules,
+  validateAliasRule
+} from './alias-rules.js';
+
+const EMPTY_FORM = {
+  field: 'artist',
+  pattern: '',
+  regex: false,
+  replacement: '',
+  whenField: '',
+  whenPattern: '',
+  whenRegex: false
+};
+
+const describeMatch = ({ pattern, regex }) => (regex ? `/${pattern}/i` : `"${pattern}"`);
+
+const fieldSelect = (value, onChange, allowNone = false) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} className="border rounded px-2 py-1">
+    {allowNone && <option value="">Any</option>}
+    {Object.entries(ALIAS_FIELDS).map(([field, { label }]) => (
+      <option key={field} value={field}>{label}</option>
+    ))}
+  </select>
+);
+
+const AliasRulesEditor = ({ rules, rawPlayData = [], onApply, isApplying = false }) => {
+  const [draft, setDraft] = useState(rules);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+  const [canonicalNames, setCanonicalNames] = useState({});
+
+  // Pick up rules that change outside this panel, e.g. once they are loaded
+  useEffect(() => {
+    setDraft(rules);
+  }, [rules]);
+
+  // Suggestions come from the names as they are after the saved rules, so
+  // anything already merged drops out of the list
+  const suggestions = useMemo(() => findAliasSuggestions(rawPlayData), [rawPlayData]);
+  const draftPatterns = useMemo(
+    () => new Set(draft.map(rule => `${rule.field}|${rule.pattern}`)),
+    [draft]
+  );
+
+  const setFormValue = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const addRule = () => {
+    const rule = createAliasRule({
+      field: form.field,
+      pattern: form.pattern,
+      regex: form.regex,
+      replacement: form.replacement,
+      when: form.whenField
+        ? { field: form.whenField, pattern: form.whenPattern, regex: form.whenRegex }
+        : null
+    });
+    const problem = validateAliasRule(rule);
+    if (problem) {
+      setFormError(problem);
+      return;
+    }
+    setDraft(prev => [...prev, rule]);
+    setForm(EMPTY_FORM);
+    setFormError(null);
+  };
+
+  const removeRule = (id) => setDraft(prev => prev.filter(rule => rule.id !== id));
+
+  const mergeSuggestion = (suggestion) => {
+    const canonical = canonicalNames[suggestion.id] || suggestion.names[0].name;
+    setDraft(prev => [...prev, ...suggestionToRules(suggestion, canonical)]);
+  };
+
+  const hasChanges = JSON.stringify(draft) !== JSON.stringify(rules);
+
+  return (
+    <div className="space-y-4 text-amber-800">
+      <p className="text-sm">
+        Alias rules rename artists, tracks and albums before anything is counted, so different
+        spellings of the same name are ranked together. Rules run from top to bottom and are
+        kept in this browser for every dataset.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border border-amber-300 text-sm">
+          <thead>
+            <tr className="bg-amber-50">
+              <th className="p-2 text-left">Field</th>
+              <th className="p-2 text-left">Matches</th>
+              <th className="p-2 text-left">Renamed to</th>
+              <th className="p-2 text-left">Only when</th>
+              <th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {draft.length === 0 && (
+              <tr>
+                <td colSpan={5} className="p-2 text-amber-600">No alias rules.</td>
+              </tr>
+            )}
+            {draft.map(rule => (
+              <tr key={rule.id} className="border-t border-amber-200">
+                <td className="p-2">{ALIAS_FIELDS[rule.field] ? ALIAS_FIELDS[rule.field].label : rule.field}</td>
+                <td className="p-2 font-mono text-xs">{describeMatch(rule)}</td>
+                <td className="p-2">{rule.replacement}</td>
+                <td className="p-2 text-xs">
+                  {rule.when && ALIAS_FIELDS[rule.when.field]
+                    ? `${ALIAS_FIELDS[rule.when.field].label} matches ${describeMatch(rule.when)}`
+                    : ''}
+                </td>
+                <td className="p-2 text-right">
+                  <button
+                    onClick={() => removeRule(rule.id)}
+                    className="px-2 py-0.5 bg-red-100 text-red-700 rounded hover:bg-red-200"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="p-3 bg-white rounded border border-amber-300 space-y-2 text-sm">
+        <div className="font-semibold">Add a rule</div>
+        <div className="flex flex-wrap items-center gap-2">
+          {fieldSelect(form.field, value => setFormValue('field', value))}
+          <input
+            type="text"
+            value={form.pattern}
+            onChange={(e) => setFormValue('pattern', e.target.value)}
+            placeholder={form.regex ? 'Regular expression' : 'Name as it appears'}
+            className="border rounded px-2 py-1"
+          />
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={form.regex}
+              onChange={(e) => setFormValue('regex', e.target.checked)}
+            />
+            Regex
+          </label>
+          <span>becomes</span>
+          <input
+            type="text"
+            value={form.replacement}
+            onChange={(e) => setFormValue('replacement', e.target.value)}
+            placeholder={form.regex ? 'Replacement ($1 for groups)' : 'Name to use'}
+            className="border rounded px-2 py-1"
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <span>Only when</span>
+          {fieldSelect(form.whenField, value => setFormValue('whenField', value), true)}
+          {form.whenField && (
+            <>
+              <span>matches</span>
+              <input
+                type="text"
+                value={form.whenPattern}
+                onChange={(e) => setFormValue('whenPattern', e.target.value)}
+                className="border rounded px-2 py-1"
+              />
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={form.whenRegex}
+                  onChange={(e) => setFormValue('whenRegex', e.target.checked)}
+                />
+                Regex
+              </label>
+            </>
+          )}
+          <button
+            onClick={addRule}
+            className="px-3 py-1 bg-amber-500 text-white rounded hover:bg-amber-600"
+          >
+            Add rule
+          </button>
+        </div>
+        {formError && <div className="text-red-600">{formError}</div>}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => onApply(draft)}
+          disabled={isApplying || !hasChanges}
+          className="px-4 py-1 bg-amber-600 text-white rounded hover:bg-amber-700 disabled:bg-amber-400"
+        >
+          {isApplying ? 'Applying...' : 'Save and apply rules'}
+        </button>
+        <button
+          onClick={() => setDraft(DEFAULT_ALIAS_RULES)}
+          disabled={isApplying}
+          className="px-4 py-1 bg-amber-200 rounded hover:bg-amber-300"
+        >
+          Reset to defaults
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        <h4 className="font-semibold">Possible duplicates</h4>
+        {suggestions.length === 0 ? (
+          <p className="text-sm">No names that look like spellings of each other.</p>
+        ) : (
+          <ul className="space-y-2 text-sm">
+            {suggestions.map(suggestion => {
+              const canonical = canonicalNames[suggestion.id] || suggestion.names[0].name;
+              const merged = suggestion.names.every(({ name }) =>
+                name === canonical || draftPatterns.has(`${suggestion.field}|${name}`));
+              return (
+                <li key={suggestion.id} className="p-2 bg-white rounded border border-amber-200">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-medium">{ALIAS_FIELDS[suggestion.field].label}:</span>
+                    {suggestion.names.map(({ name, plays }) => (
+                      <span key={name} className="px-2 py-0.5 bg-amber-50 rounded">
+                        {name} ({plays})
+                      </span>
+                    ))}
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2 mt-1">
+                    <span>Merge into</span>
+                    <select
+                      value={canonical}
+                      onChange={(e) => setCanonicalNames(prev => ({ ...prev, [suggestion.id]: e.target.value }))}
+                      className="border rounded px-2 py-0.5"
+                    >
+                      {suggestion.names.map(({ name }) => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => mergeSuggestion(suggestion)}
+                      disabled={merged}
+                      className="px-2 py-0.5 bg-amber-500 text-white rounded hover:bg-amber-600 disabled:bg-amber-300"
+                    >
+                      {merged ? 'Added' : 'Merge'}
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        <p className="text-xs">Merges are added as rules above; save to apply them.</p>
+      </div>
+    </div>
+  );
+};
+
+export default AliasRulesEditor;
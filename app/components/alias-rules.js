@@ -0,0 +1,221 @@
+import { foldText } from './text-normalize.js';
+
+// User-defined rules that rename artists, tracks and albums before anything is
+// counted, so "Beyonce" and "Beyoncé", or one artist spelled differently by
+// two services, end up as one name. A rule looks like
+// { field: 'artist', pattern: 'Beyonce', regex: false, replacement: 'Beyoncé' },
+// optionally with when: { field, pattern, regex } to only apply it where
+// another field matches too
+
+export const ALIAS_FIELDS = {
+  artist: { key: 'master_metadata_album_artist_name', label: 'Artist' },
+  track: { key: 'master_metadata_track_name', label: 'Track' },
+  album: { key: 'master_metadata_album_album_name', label: 'Album' }
+};
+
+const STORAGE_KEY = 'streaming-analyzer-alias-rules';
+
+// Apple's Track Play History spells this one in ways that never match the
+// other services, so it ships as a rule anyone can edit or remove
+export const DEFAULT_ALIAS_RULES = [
+  {
+    id: 'default-just-dropped-in-track',
+    field: 'track',
+    pattern: '^.*just dropped in.*$',
+    regex: true,
+    replacement: 'Just Dropped In (To See What Condition My Condition Is In)',
+    when: { field: 'artist', pattern: 'kenny rogers', regex: true }
+  },
+  {
+    id: 'default-just-dropped-in-artist',
+    field: 'artist',
+    pattern: '^.*kenny rogers.*$',
+    regex: true,
+    replacement: 'Kenny Rogers & The First Edition',
+    when: { field: 'track', pattern: 'just dropped in', regex: true }
+  }
+];
+
+export function createAliasRule(fields = {}) {
+  return {
+    id: `rule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    field: 'artist',
+    pattern: '',
+    regex: false,
+    replacement: '',
+    when: null,
+    ...fields
+  };
+}
+
+// Rules live in the browser rather than with a dataset, so they carry over to
+// every import
+export function loadAliasRules() {
+  if (typeof localStorage === 'undefined') return DEFAULT_ALIAS_RULES;
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : DEFAULT_ALIAS_RULES;
+  } catch (error) {
+    console.error('Could not read the saved alias rules:', error);
+    return DEFAULT_ALIAS_RULES;
+  }
+}
+
+export function saveAliasRules(rules) {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+  } catch (error) {
+    console.error('Could not save the alias rules:', error);
+  }
+}
+
+function compileMatcher({ pattern, regex }) {
+  if (regex) {
+    const expression = new RegExp(pattern, 'i');
+    return {
+      test: (value) => expression.test(value),
+      replace: (value, replacement) => value.replace(expression, replacement)
+    };
+  }
+  const target = pattern.trim().toLowerCase();
+  return {
+    test: (value) => value.trim().toLowerCase() === target,
+    replace: (value, replacement) => replacement
+  };
+}
+
+// An error message for a rule that can't be used, or null
+export function validateAliasRule(rule) {
+  if (!ALIAS_FIELDS[rule.field]) return 'Choose artist, track or album.';
+  if (!rule.pattern) return 'Enter the name or pattern to match.';
+  if (!rule.replacement && !rule.regex) return 'Enter the name to use instead.';
+  if (rule.when && (!ALIAS_FIELDS[rule.when.field] || !rule.when.pattern)) {
+    return 'Complete or remove the condition.';
+  }
+  try {
+    if (rule.regex) new RegExp(rule.pattern, 'i');
+    if (rule.when && rule.when.regex) new RegExp(rule.when.pattern, 'i');
+  } catch (error) {
+    return `Invalid regular expression: ${error.message}`;
+  }
+  return null;
+}
+
+function compileRules(rules) {
+  return (rules || [])
+    .filter(rule => {
+      const problem = validateAliasRule(rule);
+      if (problem) console.error(`Skipping alias rule "${rule.pattern}": ${problem}`);
+      return !problem;
+    })
+    .map(rule => ({
+      key: ALIAS_FIELDS[rule.field].key,
+      matcher: compileMatcher(rule),
+      replacement: rule.replacement || '',
+      when: rule.when ? { key: ALIAS_FIELDS[rule.when.field].key, matcher: compileMatcher(rule.when) } : null
+    }));
+}
+
+// Entries remember the names a rule replaced in aliasedFrom, so rules can be
+// changed or removed later and applied again to the original names
+export function getOriginalEntry(entry) {
+  if (!entry.aliasedFrom) return entry;
+  const { aliasedFrom, ...rest } = entry;
+  return { ...rest, ...aliasedFrom };
+}
+
+// Rules run in order, each seeing the names earlier rules produced
+export function applyAliasRules(entries, rules) {
+  const compiled = compileRules(rules);
+
+  return entries.map(entry => {
+    const original = getOriginalEntry(entry);
+    let result = original;
+    let replaced = null;
+
+    compiled.forEach(rule => {
+      const value = result[rule.key];
+      if (typeof value !== 'string' || !rule.matcher.test(value)) return;
+      if (rule.when) {
+        const other = result[rule.when.key];
+        if (typeof other !== 'string' || !rule.when.matcher.test(other)) return;
+      }
+
+      const next = rule.matcher.replace(value, rule.replacement);
+      if (!next || next === value) return;
+      if (!replaced) {
+        replaced = {};
+        result = { ...result };
+      }
+      if (!(rule.key in replaced)) replaced[rule.key] = original[rule.key];
+      result[rule.key] = next;
+    });
+
+    return replaced ? { ...result, aliasedFrom: replaced } : original;
+  });
+}
+
+// Case, accents, punctuation and a leading "The" are the usual differences
+// between spellings of the same name
+function toComparableName(name) {
+  return foldText(name).replace(/^the /, '').replace(/\s+/g, '');
+}
+
+// Groups of names that only differ in ways toComparableName ignores, most
+// played first; tracks and albums are only compared within one artist
+export function findAliasSuggestions(entries, limit = 25) {
+  const groups = {};
+
+  const addName = (field, groupKey, name, artist) => {
+    const key = `${field}|${groupKey}`;
+    if (!groups[key]) groups[key] = { field, names: {} };
+    const names = groups[key].names;
+    if (!names[name]) names[name] = { name, artist, plays: 0 };
+    names[name].plays++;
+  };
+
+  entries.forEach(entry => {
+    const artist = entry.master_metadata_album_artist_name;
+    if (typeof artist !== 'string' || !artist) return;
+    const comparableArtist = toComparableName(artist);
+    if (!comparableArtist) return;
+
+    addName('artist', comparableArtist, artist, null);
+
+    ['track', 'album'].forEach(field => {
+      const name = entry[ALIAS_FIELDS[field].key];
+      if (typeof name !== 'string' || !name) return;
+      const comparable = toComparableName(name);
+      if (comparable) addName(field, `${comparableArtist}|${comparable}`, name, artist);
+    });
+  });
+
+  return Object.entries(groups)
+    .map(([key, group]) => {
+      const names = Object.values(group.names).sort((a, b) => b.plays - a.plays);
+      return {
+        id: key,
+        field: group.field,
+        names,
+        plays: names.reduce((sum, name) => sum + name.plays, 0)
+      };
+    })
+    .filter(suggestion => suggestion.names.length > 1)
+    .sort((a, b) => b.plays - a.plays)
+    .slice(0, limit);
+}
+
+// Rules that rename every other name in a suggestion to the canonical one;
+// track and album renames stay within the artist they were found under
+export function suggestionToRules(suggestion, canonicalName) {
+  return suggestion.names
+    .filter(({ name }) => name !== canonicalName)
+    .map(({ name, artist }) => createAliasRule({
+      field: suggestion.field,
+      pattern: name,
+      regex: false,
+      replacement: canonicalName,
+      when: artist ? { field: 'artist', pattern: artist, regex: false } : null
+    }));
+}
@@ -0,0 +1,54 @@
+import { streamingProcessor } from './streaming-adapter.js';
+
+// Run a 'process' task ({ files, options }) or an 'analyze' task ({ entries, options })
+// in the analysis worker. Returns { promise, cancel }; a cancelled task
+// resolves with null.
+export function runAnalysisTask(task, { onProgress = null } = {}) {
+  // Without worker support, do the same work on the main thread
+  if (typeof Worker === 'undefined') {
+    let cancelled = false;
+    const run = task.type === 'analyze'
+      ? Promise.resolve().then(() => streamingProcessor.analyzeEntries(task.entries, { ...task.options, onProgress }))
+      : streamingProcessor.processFiles(task.files, { ...task.options, onProgress });
+    return {
+      promise: run.then(results => (cancelled ? null : results)),
+      cancel: () => { cancelled = true; }
+    };
+  }
+
+  const worker = new Worker(new URL('./analysis-worker.js', import.meta.url));
+  let resolveTask;
+
+  const promise = new Promise((resolve, reject) => {
+    resolveTask = resolve;
+
+    worker.onmessage = (event) => {
+      const { type } = event.data;
+      if (type === 'progress') {
+        if (onProgress) onProgress(event.data.progress);
+        return;
+      }
+      worker.terminate();
+      if (type === 'result') {
+        resolve(event.data.results);
+      } else {
+        reject(new Error(event.data.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'The analysis worker stopped unexpectedly'));
+    };
+
+    worker.postMessage(task);
+  });
+
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      resolveTask(null);
+    }
+  };
+}
@@ -0,0 +1,18 @@
+import { streamingProcessor } from './streaming-adapter.js';
+
+// Runs file ingest and aggregation off the main thread so large histories
+// don't freeze the page; started from analysis-client.js
+self.onmessage = async (event) => {
+  const { type, files, entries, options = {} } = event.data;
+  const onProgress = (progress) => self.postMessage({ type: 'progress', progress });
+
+  try {
+    const results = type === 'analyze'
+      ? streamingProcessor.analyzeEntries(entries, { ...options, onProgress })
+      : await streamingProcessor.processFiles(files, { ...options, onProgress });
+    self.postMessage({ type: 'result', results });
+  } catch (error) {
+    console.error('Error in analysis worker:', error);
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,60 @@
+import { foldText } from './text-normalize.js';
+
+// How a play is credited when its title names featured artists ("Song (feat. X)").
+// The mode is a dataset option, see dataset-options.js
+export const ARTIST_ATTRIBUTION_MODES = {
+  primary: 'Primary artist only',
+  split: 'Split between the primary and featured artists',
+  full: 'Full play to every artist'
+};
+
+// One "feat." match can name several artists: "feat. A, B & C"
+function splitFeatureArtists(featureArtists) {
+  return featureArtists
+    .flatMap(names => names.split(/\s*,\s*|\s+&\s+/))
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+// Featured artists are typed into titles by hand, so "(feat. drake)" should be
+// credited to "Drake" when Drake is in the data as a primary artist
+export function createArtistNameLookup(entries) {
+  const seen = new Set();
+  const names = new Map();
+  entries.forEach(entry => {
+    const name = entry.master_metadata_album_artist_name;
+    if (!name || seen.has(name)) return;
+    seen.add(name);
+    const key = foldText(name);
+    if (key && !names.has(key)) names.set(key, name);
+  });
+  return (name) => names.get(foldText(name)) || name;
+}
+
+// The artists a play counts towards, as [{ name, share, featured }], with the
+// primary artist first. share is the part of the play each one gets
+export function getArtistCredits(artistName, featureArtists, mode = 'primary', lookupName = name => name) {
+  const credits = [{ name: artistName, share: 1, featured: false }];
+  if (!featureArtists || mode === 'primary') return credits;
+
+  const seen = new Set([foldText(artistName)]);
+  splitFeatureArtists(featureArtists).forEach(featured => {
+    const name = lookupName(featured);
+    const key = foldText(name);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    credits.push({ name, share: 1, featured: true });
+  });
+
+  if (mode === 'split') {
+    credits.forEach(credit => {
+      credit.share = 1 / credits.length;
+    });
+  }
+  return credits;
+}
+
+// Split credit gives artists fractions of plays, shown to one decimal
+export function formatPlayCount(count) {
+  return Math.round(count * 10) / 10;
+}
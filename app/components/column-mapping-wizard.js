@@ -0,0 +1,226 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { readTable, mapProfileRows } from './streaming-adapter.js';
+import {
+  MAPPING_FIELDS,
+  DURATION_UNITS,
+  TIMESTAMP_MEANINGS,
+  createAdapterProfile,
+  guessColumns,
+  validateAdapterProfile
+} from './column-mapping.js';
+
+const PREVIEW_ROWS = 5;
+
+const formatPreviewTime = (ts) => {
+  const date = ts instanceof Date ? ts : new Date(ts);
+  return isNaN(date.getTime()) ? `Unreadable: ${ts}` : date.toLocaleString();
+};
+
+const formatPreviewDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Lets the listener say which column of an unrecognised CSV, TSV or workbook
+// holds what, previews the first rows as they will be imported, and saves the
+// mapping as a profile that reads files laid out the same way from then on
+const ColumnMappingWizard = ({ file, profiles = [], onSave, onDelete, onClose }) => {
+  const [table, setTable] = useState(null);
+  const [readError, setReadError] = useState(null);
+  const [draft, setDraft] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setTable(null);
+    setReadError(null);
+    readTable(file, { previewRows: PREVIEW_ROWS })
+      .then(result => {
+        if (cancelled) return;
+        setTable(result);
+        // A saved mapping made for these columns is the starting point, if there is one
+        const saved = profiles.find(profile =>
+          profile.headers.length > 0 && profile.headers.every(header => result.fields.includes(header)));
+        setDraft(saved || createAdapterProfile({
+          name: file.name.replace(/\.[^.]+$/, ''),
+          columns: guessColumns(result.fields)
+        }));
+      })
+      .catch(error => {
+        console.error(`Could not read ${file.name}:`, error);
+        if (!cancelled) setReadError(`Could not read ${file.name}: ${error.message}`);
+      });
+    return () => { cancelled = true; };
+  }, [file, profiles]);
+
+  const problem = draft ? validateAdapterProfile(draft) : null;
+
+  const preview = useMemo(() => {
+    if (!table || !draft || problem) return [];
+    return mapProfileRows(table.rows.slice(0, PREVIEW_ROWS), draft);
+  }, [table, draft, problem]);
+
+  const setColumn = (field, column) => {
+    setDraft(prev => ({ ...prev, columns: { ...prev.columns, [field]: column || null } }));
+  };
+
+  const startFrom = (profileId) => {
+    const saved = profiles.find(profile => profile.id === profileId);
+    setDraft(saved || createAdapterProfile({
+      name: file.name.replace(/\.[^.]+$/, ''),
+      columns: guessColumns(table.fields)
+    }));
+  };
+
+  const isSaved = draft && profiles.some(profile => profile.id === draft.id);
+
+  return (
+    <div className="mt-4 p-4 bg-orange-50 border border-orange-300 rounded space-y-3 text-orange-800">
+      <div className="flex justify-between items-center">
+        <h4 className="font-semibold">Map the columns of {file.name}</h4>
+        <button onClick={onClose} className="text-sm text-orange-600 hover:text-orange-800">
+          Close
+        </button>
+      </div>
+
+      {readError && <div className="text-red-600">{readError}</div>}
+      {!readError && !draft && <div className="text-sm">Reading {file.name}...</div>}
+
+      {draft && (
+        <>
+          {table.fields.length === 0 && (
+            <div className="text-red-600">No column names found in the first row of this file.</div>
+          )}
+
+          {profiles.length > 0 && (
+            <label className="flex flex-wrap items-center gap-2 text-sm">
+              Start from
+              <select
+                value={isSaved ? draft.id : ''}
+                onChange={(e) => startFrom(e.target.value)}
+                className="border rounded px-1 py-0.5"
+              >
+                <option value="">A new mapping</option>
+                {profiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+            {Object.entries(MAPPING_FIELDS).map(([field, { label, required }]) => (
+              <label key={field} className="flex items-center justify-between gap-2">
+                <span>{label}{required && ' *'}</span>
+                <select
+                  value={draft.columns[field] || ''}
+                  onChange={(e) => setColumn(field, e.target.value)}
+                  className="border rounded px-1 py-0.5 max-w-[14rem]"
+                >
+                  <option value="">{required ? 'Choose a column' : 'Not in this file'}</option>
+                  {table.fields.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <label className="flex items-center justify-between gap-2">
+              <span>The date and time is</span>
+              <select
+                value={draft.timestampIs}
+                onChange={(e) => setDraft(prev => ({ ...prev, timestampIs: e.target.value }))}
+                className="border rounded px-1 py-0.5"
+              >
+                {Object.entries(TIMESTAMP_MEANINGS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            {draft.columns.duration && (
+              <label className="flex items-center justify-between gap-2">
+                <span>Duration is in</span>
+                <select
+                  value={draft.durationUnit}
+                  onChange={(e) => setDraft(prev => ({ ...prev, durationUnit: e.target.value }))}
+                  className="border rounded px-1 py-0.5"
+                >
+                  {Object.entries(DURATION_UNITS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+
+          <label className="flex flex-wrap items-center gap-2 text-sm">
+            Save as
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+              className="border rounded px-2 py-1"
+            />
+          </label>
+
+          {problem ? (
+            <div className="text-sm text-red-600">{problem}</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <div className="text-sm font-semibold mb-1">First rows as they will be imported:</div>
+              <table className="min-w-full bg-white border border-orange-300 text-xs">
+                <thead>
+                  <tr className="bg-orange-100">
+                    <th className="p-1 text-left">Ended at</th>
+                    <th className="p-1 text-left">Artist</th>
+                    <th className="p-1 text-left">Track</th>
+                    <th className="p-1 text-left">Album</th>
+                    <th className="p-1 text-right">Played</th>
+                    <th className="p-1 text-left">ISRC</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map((entry, index) => (
+                    <tr key={index} className="border-t border-orange-200">
+                      <td className="p-1">{formatPreviewTime(entry.ts)}</td>
+                      <td className="p-1">{entry.master_metadata_album_artist_name}</td>
+                      <td className="p-1">{entry.master_metadata_track_name}</td>
+                      <td className="p-1">{entry.master_metadata_album_album_name}</td>
+                      <td className="p-1 text-right">
+                        {formatPreviewDuration(entry.ms_played)}{entry.estimated && ' (assumed)'}
+                      </td>
+                      <td className="p-1">{entry.master_metadata_external_ids?.isrc || ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {preview.length < Math.min(table.rows.length, PREVIEW_ROWS) && (
+                <div className="text-xs mt-1">
+                  {Math.min(table.rows.length, PREVIEW_ROWS) - preview.length} of the first rows have no date, artist or track and will be skipped.
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => onSave({ ...draft, name: draft.name.trim(), headers: table.fields })}
+              disabled={Boolean(problem)}
+              className="px-4 py-1 bg-orange-500 text-white rounded hover:bg-orange-600 disabled:bg-orange-300"
+            >
+              Save mapping and use it for this file
+            </button>
+            {isSaved && (
+              <button
+                onClick={() => onDelete(draft.id)}
+                className="px-4 py-1 bg-white text-red-600 border border-red-300 rounded hover:bg-red-50"
+              >
+                Delete this mapping
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
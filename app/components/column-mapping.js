@@ -0,0 +1,101 @@
+// Saved column mappings for files no built-in adapter reads. A profile says
+// which column holds what, and becomes an import adapter of its own (see
+// createProfileAdapter in streaming-adapter.js):
+// { id, name, headers, columns: { timestamp, artist, track, album, duration, isrc },
+//   durationUnit: 'ms' | 'seconds' | 'clock', timestampIs: 'end' | 'start' }
+// headers are the file's column names when the profile was made, so files
+// laid out the same way are recognised
+
+export const MAPPING_FIELDS = {
+  timestamp: { label: 'Date and time', required: true },
+  artist: { label: 'Artist', required: true },
+  track: { label: 'Track', required: true },
+  album: { label: 'Album', required: false },
+  duration: { label: 'Play duration', required: false },
+  isrc: { label: 'ISRC', required: false }
+};
+
+export const DURATION_UNITS = {
+  ms: 'Milliseconds',
+  seconds: 'Seconds',
+  clock: 'Minutes:seconds (3:25)'
+};
+
+export const TIMESTAMP_MEANINGS = {
+  end: 'When the play ended',
+  start: 'When the play started'
+};
+
+export const PROFILE_ADAPTER_PREFIX = 'profile:';
+
+const STORAGE_KEY = 'streaming-analyzer-adapter-profiles';
+
+// Header names each field is usually found under, for a first guess
+const COLUMN_HINTS = {
+  timestamp: ['timestamp', 'date', 'time', 'played', 'listened'],
+  artist: ['artist', 'performer', 'band'],
+  track: ['track', 'song', 'title', 'name'],
+  album: ['album', 'release', 'record'],
+  duration: ['duration', 'ms', 'length', 'seconds'],
+  isrc: ['isrc']
+};
+
+export function createAdapterProfile(fields = {}) {
+  return {
+    id: `profile-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: '',
+    headers: [],
+    columns: { timestamp: null, artist: null, track: null, album: null, duration: null, isrc: null },
+    durationUnit: 'ms',
+    timestampIs: 'end',
+    ...fields
+  };
+}
+
+export function getProfileAdapterId(profile) {
+  return `${PROFILE_ADAPTER_PREFIX}${profile.id}`;
+}
+
+export function loadAdapterProfiles() {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Could not read the saved column mappings:', error);
+    return [];
+  }
+}
+
+export function saveAdapterProfiles(profiles) {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch (error) {
+    console.error('Could not save the column mappings:', error);
+  }
+}
+
+export function validateAdapterProfile(profile) {
+  if (!profile.name.trim()) return 'Give the mapping a name.';
+  const missing = Object.entries(MAPPING_FIELDS)
+    .filter(([field, { required }]) => required && !profile.columns[field])
+    .map(([, { label }]) => label);
+  if (missing.length > 0) return `Choose the column for: ${missing.join(', ')}.`;
+  const used = Object.values(profile.columns).filter(Boolean);
+  if (new Set(used).size !== used.length) return 'Each column can only be used once.';
+  return null;
+}
+
+// A first guess at the mapping from the header names; each column is used once
+export function guessColumns(fields) {
+  const columns = {};
+  const taken = new Set();
+  Object.entries(COLUMN_HINTS).forEach(([field, hints]) => {
+    const match = fields.find(name =>
+      !taken.has(name) && hints.some(hint => String(name).toLowerCase().includes(hint)));
+    columns[field] = match || null;
+    if (match) taken.add(match);
+  });
+  return columns;
+}
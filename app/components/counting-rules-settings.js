@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import { DEFAULT_COUNTING_RULES, getCountingRules } from './dataset-options.js';
+
+const CountingRulesSettings = ({ rules, onApply, isApplying = false }) => {
+  const [draft, setDraft] = useState(() => getCountingRules({ countingRules: rules }));
+
+  // Pick up rules that change outside this panel, e.g. after a restore
+  useEffect(() => {
+    setDraft(getCountingRules({ countingRules: rules }));
+  }, [rules]);
+
+  const setSeconds = (key, value) => {
+    const seconds = Number(value);
+    if (!isNaN(seconds) && seconds >= 0) {
+      setDraft(prev => ({ ...prev, [key]: Math.round(seconds * 1000) }));
+    }
+  };
+
+  const checkbox = (key, label) => (
+    <label className="flex items-center gap-2">
+      <input
+        type="checkbox"
+        checked={draft[key]}
+        onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.checked }))}
+      />
+      {label}
+    </label>
+  );
+
+  const secondsInput = (key, label) => (
+    <label className="flex items-center gap-2">
+      {label}
+      <input
+        type="number"
+        min="0"
+        value={draft[key] / 1000}
+        onChange={(e) => setSeconds(key, e.target.value)}
+        className="w-20 border rounded px-2 py-1"
+      />
+      seconds
+    </label>
+  );
+
+  const hasChanges = Object.keys(DEFAULT_COUNTING_RULES).some(key => draft[key] !== (rules || DEFAULT_COUNTING_RULES)[key]);
+
+  return (
+    <div className="space-y-2 text-purple-700">
+      <p className="text-sm">
+        These rules decide which plays count in every ranking, total and chart, and are included in exports.
+      </p>
+
+      {secondsInput('minPlayMs', 'Count plays of at least')}
+      {checkbox('countSkipped', 'Count plays that were skipped')}
+      {checkbox('countPodcasts', 'Count podcasts in listening totals and time charts')}
+      {checkbox('countIncognito', 'Count private session plays')}
+      {checkbox('countEstimated', 'Count plays whose time or length the importer had to estimate')}
+      {secondsInput('sessionMinPlayMs', 'Ignore plays shorter than this in listening sessions:')}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => onApply(draft)}
+          disabled={isApplying || !hasChanges}
+          className="px-4 py-1 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:bg-purple-400"
+        >
+          {isApplying ? 'Applying...' : 'Apply counting rules'}
+        </button>
+        <button
+          onClick={() => setDraft(DEFAULT_COUNTING_RULES)}
+          disabled={isApplying}
+          className="px-4 py-1 bg-purple-200 rounded hover:bg-purple-300"
+        >
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CountingRulesSettings;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+
+const KIND_STYLES = {
+  rejected: 'text-red-700',
+  defaulted: 'text-amber-700',
+  flagged: 'text-orange-700',
+  note: 'text-slate-600'
+};
+
+const KIND_LABELS = {
+  rejected: 'Rejected',
+  defaulted: 'Defaulted',
+  flagged: 'Flagged for review',
+  note: 'Note'
+};
+
+const DataQuality = ({ importReport }) => {
+  const [expandedFiles, setExpandedFiles] = useState({});
+
+  if (!importReport) {
+    return <p className="text-slate-600">No import report available.</p>;
+  }
+
+  const { files = [], skippedFiles = [], archives = [], totals = {} } = importReport;
+
+  const toggleFile = (name) => {
+    setExpandedFiles(prev => ({ ...prev, [name]: !prev[name] }));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+        <div className="p-3 bg-white rounded border border-slate-300">
+          <div className="text-sm text-slate-600">Rows imported</div>
+          <div className="text-2xl font-bold text-slate-700">{totals.parsed || 0}</div>
+        </div>
+        <div className="p-3 bg-white rounded border border-slate-300">
+          <div className="text-sm text-slate-600">Rows rejected</div>
+          <div className="text-2xl font-bold text-red-700">{totals.rejected || 0}</div>
+        </div>
+        <div className="p-3 bg-white rounded border border-slate-300">
+          <div className="text-sm text-slate-600">Rows with guessed values</div>
+          <div className="text-2xl font-bold text-amber-700">{totals.defaulted || 0}</div>
+        </div>
+        <div className="p-3 bg-white rounded border border-slate-300">
+          <div className="text-sm text-slate-600">Rows with invalid timestamps</div>
+          <div className="text-2xl font-bold text-orange-700">{totals.flagged || 0}</div>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border border-slate-300 text-sm">
+          <thead>
+            <tr className="bg-slate-100 text-slate-700">
+              <th className="p-2 text-left">File</th>
+              <th className="p-2 text-left">Read as</th>
+              <th className="p-2 text-right">Imported</th>
+              <th className="p-2 text-right">Rejected</th>
+              <th className="p-2 text-right">Defaulted</th>
+              <th className="p-2 text-right">Flagged</th>
+              <th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {files.map(file => {
+              const issues = Object.values(file.issues || {});
+              const isExpanded = expandedFiles[file.name];
+              return (
+                <React.Fragment key={file.name}>
+                  <tr className="border-t border-slate-200 text-slate-700">
+                    <td className="p-2 break-all">{file.name}</td>
+                    <td className="p-2">{file.adapter}</td>
+                    <td className="p-2 text-right">{file.parsed}</td>
+                    <td className="p-2 text-right text-red-700">{file.rejected}</td>
+                    <td className="p-2 text-right text-amber-700">{file.defaulted}</td>
+                    <td className="p-2 text-right text-orange-700">{file.flagged || 0}</td>
+                    <td className="p-2 text-right">
+                      {(issues.length > 0 || file.error || file.headers) && (
+                        <button
+                          onClick={() => toggleFile(file.name)}
+                          className="flex items-center text-slate-600 hover:text-slate-800"
+                        >
+                          {isExpanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                          Details
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {isExpanded && (
+                    <tr className="bg-slate-50">
+                      <td colSpan={7} className="p-3 space-y-2">
+                        {file.error && (
+                          <div className="text-red-700 font-semibold">Error: {file.error}</div>
+                        )}
+                        {file.headers && (
+                          <div className="text-slate-600">
+                            <span className="font-semibold">Columns found:</span> {file.headers.join(', ')}
+                          </div>
+                        )}
+                        {issues.map(issue => (
+                          <div key={`${issue.kind}:${issue.reason}`} className="border-l-4 border-slate-300 pl-2">
+                            <div className={KIND_STYLES[issue.kind]}>
+                              <span className="font-semibold">{KIND_LABELS[issue.kind]}:</span> {issue.reason}
+                              {issue.kind !== 'note' && <span> ({issue.count} rows)</span>}
+                            </div>
+                            {issue.samples.filter(sample => sample !== null).length > 0 && (
+                              <pre className="mt-1 p-2 bg-white border rounded text-xs text-slate-600 overflow-x-auto">
+                                {issue.samples.map(sample => JSON.stringify(sample)).join('\n')}
+                              </pre>
+                            )}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {archives.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-slate-700 mb-1">Archives unpacked ({archives.length})</h4>
+          <ul className="text-sm space-y-1">
+            {archives.map((archive, index) => (
+              <li key={index} className="text-slate-600">
+                <span className="break-all">{archive.name}</span>
+                <span className="text-slate-400"> - {archive.extracted} {archive.extracted === 1 ? 'file' : 'files'} extracted</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {skippedFiles.length > 0 && (
+        <div>
+          <h4 className="font-semibold text-slate-700 mb-1">Files not imported ({skippedFiles.length})</h4>
+          <ul className="text-sm space-y-1">
+            {skippedFiles.map((file, index) => (
+              <li key={index} className="text-slate-600">
+                <span className="break-all">{file.name}</span>
+                <span className="text-slate-400"> - {file.reason}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataQuality;
@@ -0,0 +1,94 @@
+// Per-dataset choices about which plays count and how their times are read.
+// They are saved with the dataset, like its timezone settings
+
+// What counts as a play: every ranking, total and chart reads these rather
+// than its own threshold
+export const DEFAULT_COUNTING_RULES = {
+  // Shorter plays are too brief to count as a listen
+  minPlayMs: 30000,
+  // Plays the listener skipped, where the export says so
+  countSkipped: true,
+  // Podcast episodes in the listening totals and time charts (the Podcasts tab always has them)
+  countPodcasts: false,
+  // Plays made in a private session
+  countIncognito: true,
+  // Plays whose time or duration an importer had to guess (see isEstimatedPlay)
+  countEstimated: true,
+  // Sessions ignore plays shorter than this, so brief skips don't glue sessions together
+  sessionMinPlayMs: 5000
+};
+
+export const DEFAULT_DATASET_OPTIONS = {
+  // Place offline plays at offline_timestamp rather than at the later sync time in ts
+  useOfflineTimestamp: true,
+  countingRules: DEFAULT_COUNTING_RULES,
+  // Accepted and rejected cross-service track matches, see track-identity.js
+  trackMatchDecisions: {},
+  // Who gets credit for plays with featured artists: 'primary', 'split' or 'full' (see artist-credits.js)
+  artistAttribution: 'primary'
+};
+
+export function createDatasetOptions(options = {}) {
+  const merged = { ...DEFAULT_DATASET_OPTIONS, ...(options || {}) };
+  return { ...merged, countingRules: getCountingRules(merged) };
+}
+
+export function getCountingRules(datasetOptions) {
+  return { ...DEFAULT_COUNTING_RULES, ...(datasetOptions && datasetOptions.countingRules) };
+}
+
+// Only the extended history records these; null means unknown, not false
+export function isIncognitoPlay(entry) {
+  return entry.incognito_mode === true;
+}
+
+export function isOfflinePlay(entry) {
+  return entry.offline === true;
+}
+
+export function isSkippedPlay(entry) {
+  return entry.skipped === true;
+}
+
+// Importers set estimated: { timestamp, duration } on entries they had to
+// make up, like Apple's per-track totals spread out into single plays
+export function isEstimatedPlay(entry) {
+  return Boolean(entry.estimated && (entry.estimated.timestamp || entry.estimated.duration));
+}
+
+// A chart bucket counts as mostly estimated once more than half its plays are
+export function isMostlyEstimated(bucket) {
+  return bucket.count > 0 && bucket.estimatedCount / bucket.count > 0.5;
+}
+
+export function isPodcastPlay(entry) {
+  return !entry.master_metadata_track_name &&
+    Boolean(entry.episode_name || entry.episode_show_name || entry.spotify_episode_uri);
+}
+
+// Skipped, private session and estimated plays the rules leave out of everything
+export function isExcludedPlay(entry, rules) {
+  return (!rules.countSkipped && isSkippedPlay(entry)) ||
+    (!rules.countIncognito && isIncognitoPlay(entry)) ||
+    (!rules.countEstimated && isEstimatedPlay(entry));
+}
+
+// A play that is long enough, and of a kind the rules count, for totals and time charts
+export function countsTowardTotals(entry, rules) {
+  return entry.ms_played >= rules.minPlayMs &&
+    !isExcludedPlay(entry, rules) &&
+    (rules.countPodcasts || !isPodcastPlay(entry));
+}
+
+// The rules as label/value rows, for the stats panel and exports
+export function describeCountingRules(rules) {
+  const yesNo = (value) => (value ? 'Yes' : 'No');
+  return [
+    ['Minimum play length', `${rules.minPlayMs / 1000} seconds`],
+    ['Skipped plays counted', yesNo(rules.countSkipped)],
+    ['Podcasts counted in totals', yesNo(rules.countPodcasts)],
+    ['Private session plays counted', yesNo(rules.countIncognito)],
+    ['Estimated plays counted', yesNo(rules.countEstimated)],
+    ['Minimum play length in sessions', `${rules.sessionMinPlayMs / 1000} seconds`]
+  ];
+}
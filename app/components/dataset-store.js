@@ -0,0 +1,175 @@
+// Keeps the last processed dataset in IndexedDB so a reload doesn't mean
+// uploading and processing the whole export again
+
+const DB_NAME = 'streaming-analyzer';
+const DB_VERSION = 1;
+const META_STORE = 'datasets';
+const ENTRY_STORE = 'entryChunks';
+const DATASET_KEY = 'last';
+
+// Bump when the stored shape or the way entries are keyed changes; older
+// datasets are then ignored instead of restored, unless listed below
+export const DATASET_FORMAT_VERSION = 3;
+
+// Older versions whose entries are still fine but whose rankings were built
+// with an earlier track key (version 1 folded non-Latin titles together,
+// version 2 folded Cyrillic й and ё into и and е).
+// They are restored with needsReanalysis set, so the caller rebuilds the
+// aggregates from the entries and saves them under the current version
+const REANALYZABLE_FORMAT_VERSIONS = [1, 2];
+
+// Entries are stored in chunks so no single record gets too large to clone
+const ENTRY_CHUNK_SIZE = 50000;
+
+export function isDatasetStoreAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE);
+      }
+      if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+        db.createObjectStore(ENTRY_STORE);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run a callback against the given stores in one transaction, resolving with
+// the callback's result once the transaction has completed
+async function withStores(mode, callback) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([META_STORE, ENTRY_STORE], mode);
+      let result;
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+      result = callback(transaction.objectStore(META_STORE), transaction.objectStore(ENTRY_STORE));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getStorageUsage() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+    return null;
+  }
+  try {
+    const { usage } = await navigator.storage.estimate();
+    return usage ?? null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// results is the object returned by streamingProcessor.processFiles (or an
+// equivalent after re-analysis); uploadedFiles are the file names shown on the upload tab
+export async function saveDataset(results, uploadedFiles = []) {
+  if (!isDatasetStoreAvailable()) return null;
+
+  const { rawPlayData = [], ...aggregates } = results;
+  const chunkCount = Math.ceil(rawPlayData.length / ENTRY_CHUNK_SIZE);
+  const meta = {
+    formatVersion: DATASET_FORMAT_VERSION,
+    savedAt: new Date(),
+    uploadedFiles,
+    entryCount: rawPlayData.length,
+    chunkCount,
+    aggregates
+  };
+
+  await withStores('readwrite', (metaStore, entryStore) => {
+    entryStore.clear();
+    for (let i = 0; i < chunkCount; i++) {
+      entryStore.put(rawPlayData.slice(i * ENTRY_CHUNK_SIZE, (i + 1) * ENTRY_CHUNK_SIZE), i);
+    }
+    metaStore.put(meta, DATASET_KEY);
+  });
+
+  // Ask the browser not to evict the data under storage pressure
+  if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+
+  return getDatasetInfo();
+}
+
+async function readMeta() {
+  let metaRequest;
+  await withStores('readonly', (metaStore) => {
+    metaRequest = metaStore.get(DATASET_KEY);
+  });
+  const meta = metaRequest.result;
+  if (!meta) return null;
+  if (meta.formatVersion !== DATASET_FORMAT_VERSION &&
+      !REANALYZABLE_FORMAT_VERSIONS.includes(meta.formatVersion)) return null;
+  return meta;
+}
+
+// Summary of the stored dataset for the upload tab, or null when nothing usable is stored
+export async function getDatasetInfo() {
+  if (!isDatasetStoreAvailable()) return null;
+
+  const meta = await readMeta();
+  if (!meta) return null;
+
+  return {
+    savedAt: meta.savedAt,
+    uploadedFiles: meta.uploadedFiles,
+    entryCount: meta.entryCount,
+    usageBytes: await getStorageUsage()
+  };
+}
+
+export async function loadDataset() {
+  if (!isDatasetStoreAvailable()) return null;
+
+  const meta = await readMeta();
+  if (!meta) return null;
+
+  const chunks = await withStores('readonly', (metaStore, entryStore) => {
+    const requests = [];
+    for (let i = 0; i < meta.chunkCount; i++) {
+      requests.push(requestToPromise(entryStore.get(i)));
+    }
+    return Promise.all(requests);
+  });
+
+  const rawPlayData = chunks.flat();
+  if (rawPlayData.length !== meta.entryCount) {
+    console.error('Stored dataset is incomplete, expected', meta.entryCount, 'entries but found', rawPlayData.length);
+    return null;
+  }
+
+  return {
+    savedAt: meta.savedAt,
+    uploadedFiles: meta.uploadedFiles,
+    needsReanalysis: meta.formatVersion !== DATASET_FORMAT_VERSION,
+    results: { ...meta.aggregates, rawPlayData }
+  };
+}
+
+export async function clearDataset() {
+  if (!isDatasetStoreAvailable()) return;
+  await withStores('readwrite', (metaStore, entryStore) => {
+    metaStore.clear();
+    entryStore.clear();
+  });
+}
@@ -1,16 +1,23 @@
 import React, { useState, useMemo } from 'react';
 import { Card, CardHeader, CardTitle, CardContent } from './ui/Card';
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { getLocalParts, toWallClockDate } from './timezone.js';
+import { getCountingRules, countsTowardTotals } from './dataset-options.js';
+import { getPlayInterval } from './play-intervals.js';
 
-const DiscoveryAnalysis = ({ rawPlayData = [], formatDuration }) => {
+const DiscoveryAnalysis = ({ rawPlayData = [], formatDuration, timezoneSettings = null, datasetOptions = null }) => {
   const [activeTab, setActiveTab] = useState('discovery');
   const [timeframe, setTimeframe] = useState('all');
   
   // Analyze artist discovery and loyalty
   const discoveryData = useMemo(() => {
-    // Sort all entries by timestamp
-    const sortedEntries = [...rawPlayData].filter(entry => entry.ms_played >= 30000)
-                              .sort((a, b) => new Date(a.ts) - new Date(b.ts));
+    // Sort all entries by when they started, as every other tab places plays
+    const rules = getCountingRules(datasetOptions);
+    const sortedEntries = rawPlayData
+      .filter(entry => countsTowardTotals(entry, rules))
+      .map(entry => ({ entry, interval: getPlayInterval(entry, datasetOptions) }))
+      .filter(({ interval }) => interval)
+      .sort((a, b) => a.interval.start - b.interval.start);
     
     if (sortedEntries.length === 0) {
       return {
@@ -30,11 +37,11 @@ const DiscoveryAnalysis = ({ rawPlayData = [], formatDuration }) => {
     const artistPlayCounts = {};
     const artistPlayTime = {};
     
-    sortedEntries.forEach(entry => {
+    sortedEntries.forEach(({ entry, interval }) => {
       const artist = entry.master_metadata_album_artist_name;
       if (!artist) return;
       
-      const date = new Date(entry.ts);
+      const date = new Date(interval.start);
       
       // Track first listen date
       if (!firstListenDates[artist]) {
@@ -51,7 +58,7 @@ const DiscoveryAnalysis = ({ rawPlayData = [], formatDuration }) => {
     // Calculate new artists discovered by month
     const artistsByMonth = {};
     Object.entries(firstListenDates).forEach(([artist, date]) => {
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      const { monthKey } = getLocalParts(date, timezoneSettings);
       artistsByMonth[monthKey] = (artistsByMonth[monthKey] || 0) + 1;
     });
     
@@ -93,7 +100,7 @@ const DiscoveryAnalysis = ({ rawPlayData = [], formatDuration }) => {
       uniqueArtistsCount: sortedArtists.length,
       artistPlayCounts
     };
-  }, [rawPlayData]);
+  }, [rawPlayData, timezoneSettings, datasetOptions]);
   
   // Analyze listening depth
   const depthData = useMemo(() => {
@@ -102,7 +109,8 @@ const DiscoveryAnalysis = ({ rawPlayData = [], formatDuration }) => {
     const trackPlays = {};
     
     // Get the earliest and latest dates for filtering
-    const filteredData = [...rawPlayData].filter(entry => entry.ms_played >= 30000);
+    const rules = getCountingRules(datasetOptions);
+    const filteredData = [...rawPlayData].filter(entry => countsTowardTotals(entry, rules));
     if (filteredData.length === 0) return { artistDepths: [], averageDepth: 0 };
     
     // Process all tracks
@@ -157,7 +165,7 @@ const DiscoveryAnalysis = ({ rawPlayData = [], formatDuration }) => {
       averageDepth,
       replayValue
     };
-  }, [rawPlayData, discoveryData.artistPlayCounts]);
+  }, [rawPlayData, discoveryData.artistPlayCounts, datasetOptions]);
   
   // Analyze music variety
   const varietyData = useMemo(() => {
@@ -166,13 +174,14 @@ const DiscoveryAnalysis = ({ rawPlayData = [], formatDuration }) => {
     const uniqueTracks = {};
     const timeframes = {};
     
-    rawPlayData.filter(entry => entry.ms_played >= 30000).forEach(entry => {
+    const rules = getCountingRules(datasetOptions);
+    rawPlayData.filter(entry => countsTowardTotals(entry, rules)).forEach(entry => {
       if (!entry.master_metadata_track_name) return;
+      const interval = getPlayInterval(entry, datasetOptions);
+      if (!interval) return;
       
-      const date = new Date(entry.ts);
-      const dayKey = date.toISOString().split('T')[0];
-      const weekKey = getWeekNumber(date);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      const { dateKey: dayKey, monthKey } = getLocalParts(interval.start, timezoneSettings);
+      const weekKey = getWeekNumber(toWallClockDate(interval.start, timezoneSettings));
       
       // Daily stats
       if (!plays[dayKey]) {
@@ -263,7 +272,7 @@ const DiscoveryAnalysis = ({ rawPlayData = [], formatDuration }) => {
       avgWeeklyVariety,
       avgMonthlyVariety
     };
-  }, [rawPlayData]);
+  }, [rawPlayData, timezoneSettings, datasetOptions]);
   
   // Helper function to get ISO week number
   function getWeekNumber(date) {
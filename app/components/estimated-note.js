@@ -0,0 +1,12 @@
+import React from 'react';
+
+// Explains the grey shading charts put behind bars built mostly from estimated
+// plays (see isMostlyEstimated); what names the shaded bars, like "years"
+const EstimatedNote = ({ what = 'bars' }) => (
+  <p className="text-sm text-purple-600 mt-1">
+    Shaded {what} are mostly estimated plays, from exports that only give totals or guessed times,
+    so their shape may not reflect when you actually listened.
+  </p>
+);
+
+export default EstimatedNote;
@@ -0,0 +1,47 @@
+// Library data some exports carry next to the plays: favourite tracks, albums
+// and artists, and playlists. It is kept apart from the plays so it never
+// counts as listening, and is saved and merged with the dataset like the
+// import report
+//
+// { favouriteTracks: [{ trackName, artist, album, isrc, addedAt, source }],
+//   favouriteAlbums: [{ album, artist, addedAt, source }],
+//   favouriteArtists: [{ artist, addedAt, source }],
+//   playlists: [{ name, trackCount, tracks: [{ trackName, artist }], source }] }
+
+export function createLibrary() {
+  return {
+    favouriteTracks: [],
+    favouriteAlbums: [],
+    favouriteArtists: [],
+    playlists: []
+  };
+}
+
+// Importing the same export twice shouldn't list a favourite twice
+const ITEM_KEYS = {
+  favouriteTracks: item => `${item.source}|${item.isrc || `${item.trackName}|${item.artist}`}`,
+  favouriteAlbums: item => `${item.source}|${item.album}|${item.artist}`,
+  favouriteArtists: item => `${item.source}|${item.artist}`,
+  playlists: item => `${item.source}|${item.name}`
+};
+
+export function mergeLibraries(...libraries) {
+  const merged = createLibrary();
+  Object.entries(ITEM_KEYS).forEach(([type, getKey]) => {
+    const seen = new Set();
+    libraries.forEach(library => {
+      if (!library || !library[type]) return;
+      library[type].forEach(item => {
+        const key = getKey(item);
+        if (seen.has(key)) return;
+        seen.add(key);
+        merged[type].push(item);
+      });
+    });
+  });
+  return merged;
+}
+
+export function isLibraryEmpty(library) {
+  return !library || Object.keys(ITEM_KEYS).every(type => !library[type] || library[type].length === 0);
+}
@@ -0,0 +1,71 @@
+import React, { useMemo } from 'react';
+import { createMatchKey } from './streaming-adapter.js';
+
+const UNPLAYED_LIMIT = 10;
+
+// Favourites and playlists imported alongside the plays, and how many of the
+// favourite tracks actually turn up in the listening history
+const LibrarySummary = ({ library, processedData = [] }) => {
+  const favouriteStats = useMemo(() => {
+    const playedKeys = new Set();
+    const playedIsrcs = new Set();
+    processedData.forEach(track => {
+      playedKeys.add(createMatchKey(track.trackName, track.artist));
+      if (track.isrc) playedIsrcs.add(String(track.isrc).toUpperCase());
+    });
+
+    const unplayed = library.favouriteTracks.filter(track =>
+      !(track.isrc && playedIsrcs.has(track.isrc.toUpperCase())) &&
+      !playedKeys.has(createMatchKey(track.trackName, track.artist || 'Unknown Artist')));
+    return {
+      played: library.favouriteTracks.length - unplayed.length,
+      unplayed
+    };
+  }, [library, processedData]);
+
+  return (
+    <div className="space-y-2 text-purple-700">
+      <ul className="space-y-1">
+        {library.favouriteTracks.length > 0 && (
+          <li>
+            Favourite tracks: {library.favouriteTracks.length} ({favouriteStats.played} of them in your listening history)
+          </li>
+        )}
+        {library.favouriteAlbums.length > 0 && <li>Favourite albums: {library.favouriteAlbums.length}</li>}
+        {library.favouriteArtists.length > 0 && <li>Favourite artists: {library.favouriteArtists.length}</li>}
+        {library.playlists.length > 0 && <li>Playlists: {library.playlists.length}</li>}
+      </ul>
+
+      {favouriteStats.unplayed.length > 0 && (
+        <div>
+          <div className="text-sm font-semibold">Favourites not in your listening history:</div>
+          <ul className="text-sm list-disc list-inside">
+            {favouriteStats.unplayed.slice(0, UNPLAYED_LIMIT).map(track => (
+              <li key={`${track.source}-${track.trackName}-${track.artist}`}>
+                {track.trackName}{track.artist && ` by ${track.artist}`}
+              </li>
+            ))}
+          </ul>
+          {favouriteStats.unplayed.length > UNPLAYED_LIMIT && (
+            <div className="text-xs">and {favouriteStats.unplayed.length - UNPLAYED_LIMIT} more</div>
+          )}
+        </div>
+      )}
+
+      {library.playlists.length > 0 && (
+        <div>
+          <div className="text-sm font-semibold">Playlists:</div>
+          <ul className="text-sm list-disc list-inside">
+            {library.playlists.map(playlist => (
+              <li key={`${playlist.source}-${playlist.name}`}>
+                {playlist.name}{playlist.trackCount > 0 && ` (${playlist.trackCount} tracks)`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LibrarySummary;
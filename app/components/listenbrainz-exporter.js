@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { hasValidTimestamp } from './streaming-adapter.js';
+import { getOriginalEntry } from './alias-rules.js';
+import { DEFAULT_COUNTING_RULES, countsTowardTotals } from './dataset-options.js';
+
+// ListenBrainz takes at most this many listens in one submission
+const LISTENS_PER_SUBMISSION = 1000;
+
+const SUBMISSION_CLIENT = 'Cakeculator';
+
+const MUSIC_SERVICES = {
+  spotify: 'spotify.com',
+  apple_music: 'music.apple.com',
+  youtube_music: 'music.youtube.com',
+  tidal: 'tidal.com',
+  deezer: 'deezer.com',
+  soundcloud: 'soundcloud.com'
+};
+
+// One play as a ListenBrainz listen. Names are exported as the services wrote
+// them rather than as the alias rules renamed them, so ListenBrainz can map
+// them to MusicBrainz itself
+function toListen(entry) {
+  const original = getOriginalEntry(entry);
+  const endTime = new Date(original.ts).getTime();
+  const startTime = original.scrobbled_at ? new Date(original.scrobbled_at).getTime() : endTime - (original.ms_played || 0);
+
+  const additionalInfo = { submission_client: SUBMISSION_CLIENT };
+  if (MUSIC_SERVICES[original.source]) additionalInfo.music_service = MUSIC_SERVICES[original.source];
+  const isrc = original.master_metadata_external_ids?.isrc || original.isrc;
+  if (isrc) additionalInfo.isrc = String(isrc);
+  const spotifyId = original.spotify_track_uri?.match(/^spotify:track:(.+)$/);
+  if (spotifyId) additionalInfo.spotify_id = `https://open.spotify.com/track/${spotifyId[1]}`;
+  if (original.musicbrainz) {
+    Object.entries(original.musicbrainz).forEach(([key, value]) => {
+      if (value) additionalInfo[key] = value;
+    });
+  }
+
+  const trackMetadata = {
+    artist_name: original.master_metadata_album_artist_name,
+    track_name: original.master_metadata_track_name,
+    additional_info: additionalInfo
+  };
+  if (original.master_metadata_album_album_name && original.master_metadata_album_album_name !== 'Unknown Album') {
+    trackMetadata.release_name = original.master_metadata_album_album_name;
+  }
+
+  return {
+    listened_at: Math.floor(startTime / 1000),
+    track_metadata: trackMetadata
+  };
+}
+
+// The counted music plays as ListenBrainz "import" submissions, oldest first,
+// split into submissions ListenBrainz accepts. Listens that came from
+// ListenBrainz are left out unless asked for, as they are there already
+export function buildListenBrainzImport(entries, { countingRules = DEFAULT_COUNTING_RULES, includeListenBrainz = false } = {}) {
+  const listens = entries
+    .filter(entry =>
+      entry.master_metadata_track_name &&
+      entry.master_metadata_album_artist_name &&
+      hasValidTimestamp(entry) &&
+      countsTowardTotals(entry, countingRules) &&
+      (includeListenBrainz || entry.source !== 'listenbrainz'))
+    .map(toListen)
+    .sort((a, b) => a.listened_at - b.listened_at);
+
+  const submissions = [];
+  for (let i = 0; i < listens.length; i += LISTENS_PER_SUBMISSION) {
+    submissions.push({
+      listen_type: 'import',
+      payload: listens.slice(i, i + LISTENS_PER_SUBMISSION)
+    });
+  }
+  return { submissions, listenCount: listens.length };
+}
+
+// Downloads the play log as ListenBrainz import JSON, to backfill an account
+// with history from every service. Nothing is sent to ListenBrainz from here
+const ListenBrainzExporter = ({ rawPlayData = [], countingRules = DEFAULT_COUNTING_RULES }) => {
+  const [includeListenBrainz, setIncludeListenBrainz] = useState(false);
+  const [error, setError] = useState(null);
+  const hasListenBrainzPlays = rawPlayData.some(entry => entry.source === 'listenbrainz');
+
+  const exportListens = () => {
+    setError(null);
+    try {
+      const { submissions, listenCount } = buildListenBrainzImport(rawPlayData, { countingRules, includeListenBrainz });
+      if (listenCount === 0) {
+        setError('There are no counted music plays to export.');
+        return;
+      }
+
+      const timestamp = new Date().toISOString().split('T')[0];
+      const blob = new Blob([JSON.stringify(submissions, null, 2)], { type: 'application/json' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `listenbrainz-import-${timestamp}.json`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('ListenBrainz export error:', err);
+      setError('Failed to export listens. Please try again.');
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <button
+        onClick={exportListens}
+        className="flex items-center gap-2 px-4 py-2 bg-orange-500 text-white rounded hover:bg-orange-600 transition-colors"
+      >
+        <Download size={16} />
+        Export for ListenBrainz
+      </button>
+      {hasListenBrainzPlays && (
+        <label className="flex items-center gap-2 text-sm text-purple-700">
+          <input
+            type="checkbox"
+            checked={includeListenBrainz}
+            onChange={(e) => setIncludeListenBrainz(e.target.checked)}
+          />
+          Include listens imported from ListenBrainz
+        </label>
+      )}
+      <p className="text-xs text-purple-600 max-w-xs">
+        A JSON array of import submissions of up to {LISTENS_PER_SUBMISSION} listens each, to send to the ListenBrainz submit-listens API.
+      </p>
+
+      {error && (
+        <div className="p-4 text-red-500 border border-red-200 rounded">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ListenBrainzExporter;
@@ -2,8 +2,11 @@ import React, { useState, useMemo } from 'react';
 import { Card, CardHeader, CardTitle, CardContent } from './ui/Card';
 import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import ArtistByTimeOfDay from './ArtistByTimeOfDay.js';
+import { getLocalParts, toWallClockDate } from './timezone.js';
+import { getPlayInterval, splitPlayByHour } from './play-intervals.js';
+import { getCountingRules, countsTowardTotals, isExcludedPlay, isIncognitoPlay } from './dataset-options.js';
 
-const ListeningBehavior = ({ rawPlayData = [], formatDuration }) => {
+const ListeningBehavior = ({ rawPlayData = [], formatDuration, timezoneSettings = null, datasetOptions = null }) => {
   const [activeTab, setActiveTab] = useState('behavior');
   
   // Analyze user behavior (skips, shuffle, etc.)
@@ -18,8 +21,20 @@ const ListeningBehavior = ({ rawPlayData = [], formatDuration }) => {
     const reasonEndCounts = {};
     const reasonStartCounts = {};
     const platforms = {};
+    let accountDataPlays = 0;
+    const rules = getCountingRules(datasetOptions);
     
     rawPlayData.forEach(entry => {
+      // The basic Spotify export has no shuffle, skip or platform info
+      if (entry.export_format === 'account_data') {
+        accountDataPlays++;
+        return;
+      }
+      
+      // This is where skips are measured, so the minimum length and skip rules
+      // don't apply; private session plays still follow the counting rules
+      if (!rules.countIncognito && isIncognitoPlay(entry)) return;
+      
       if (entry.ms_played >= 1000) { // Only analyze meaningful plays (more than 1 second)
         totalTracks++;
         
@@ -86,6 +101,7 @@ const ListeningBehavior = ({ rawPlayData = [], formatDuration }) => {
     
     return {
       totalTracks,
+      accountDataPlays,
       skippedTracks,
       skippedPercentage: Math.round((skippedTracks / totalTracks) * 100),
       completedTracks,
@@ -98,7 +114,42 @@ const ListeningBehavior = ({ rawPlayData = [], formatDuration }) => {
       skipData,
       platformData
     };
-  }, [rawPlayData]);
+  }, [rawPlayData, datasetOptions]);
+  
+  // Offline vs. online listening by year; only the extended history records
+  // the offline flag, so plays without it are left out
+  const offlineByYear = useMemo(() => {
+    const years = {};
+    const rules = getCountingRules(datasetOptions);
+    const getYear = (year) => {
+      if (!years[year]) {
+        years[year] = { year, offlinePlays: 0, onlinePlays: 0, offlineMs: 0, onlineMs: 0 };
+      }
+      return years[year];
+    };
+    
+    rawPlayData.forEach(entry => {
+      if (typeof entry.offline !== 'boolean' || !countsTowardTotals(entry, rules)) return;
+      const segments = splitPlayByHour(entry, timezoneSettings, datasetOptions);
+      if (segments.length === 0) return;
+      
+      const mode = entry.offline ? 'offline' : 'online';
+      
+      getYear(segments[0].parts.year)[`${mode}Plays`] += 1;
+      segments.forEach(({ parts, ms }) => {
+        getYear(parts.year)[`${mode}Ms`] += ms;
+      });
+    });
+    
+    return Object.values(years)
+      .sort((a, b) => a.year - b.year)
+      .map(year => ({
+        ...year,
+        offlineHours: Math.round(year.offlineMs / 3600000),
+        onlineHours: Math.round(year.onlineMs / 3600000),
+        offlinePercentage: Math.round((year.offlinePlays / Math.max(year.offlinePlays + year.onlinePlays, 1)) * 100)
+      }));
+  }, [rawPlayData, timezoneSettings, datasetOptions]);
   
   // Analyze listening sessions
   const sessionData = useMemo(() => {
@@ -107,38 +158,43 @@ const ListeningBehavior = ({ rawPlayData = [], formatDuration }) => {
     const sessions = [];
     let currentSession = null;
     
-    // Sort all entries by timestamp
-    const sortedEntries = [...rawPlayData].sort((a, b) => {
-      return new Date(a.ts) - new Date(b.ts);
-    });
+    const rules = getCountingRules(datasetOptions);
     
-    sortedEntries.forEach(entry => {
-      if (entry.ms_played < 5000) return; // Ignore very short plays
-      
-      const timestamp = new Date(entry.ts);
+    // Sort all plays by when they started; ts is when a play ended
+    const sortedPlays = rawPlayData
+      .filter(entry => entry.ms_played >= rules.sessionMinPlayMs && !isExcludedPlay(entry, rules))
+      .map(entry => ({ entry, interval: getPlayInterval(entry, datasetOptions) }))
+      .filter(play => play.interval)
+      .sort((a, b) => a.interval.start - b.interval.start);
+    
+    sortedPlays.forEach(({ entry, interval }) => {
+      const start = new Date(interval.start);
+      const end = new Date(interval.end);
       
       if (!currentSession) {
         // Start a new session
         currentSession = {
-          start: timestamp,
-          end: new Date(timestamp.getTime() + entry.ms_played),
+          start,
+          end,
           tracks: [entry],
           totalDuration: entry.ms_played
         };
       } else {
-        const timeSinceLastTrack = timestamp - currentSession.end;
+        const timeSinceLastTrack = start - currentSession.end;
         
         if (timeSinceLastTrack <= SESSION_GAP_MS) {
           // Continue current session
-          currentSession.end = new Date(timestamp.getTime() + entry.ms_played);
+          if (end > currentSession.end) {
+            currentSession.end = end;
+          }
           currentSession.tracks.push(entry);
           currentSession.totalDuration += entry.ms_played;
         } else {
           // End current session and start a new one
           sessions.push(currentSession);
           currentSession = {
-            start: timestamp,
-            end: new Date(timestamp.getTime() + entry.ms_played),
+            start,
+            end,
             tracks: [entry],
             totalDuration: entry.ms_played
           };
@@ -154,10 +210,9 @@ const ListeningBehavior = ({ rawPlayData = [], formatDuration }) => {
     // Calculate session stats
     const sessionLengths = sessions.map(session => {
       const durationMinutes = Math.round(session.totalDuration / 60000);
-      const dayOfWeek = session.start.getDay();
-      const hour = session.start.getHours();
+      const { weekday: dayOfWeek, hour } = getLocalParts(session.start, timezoneSettings);
       return {
-        date: session.start.toLocaleDateString(),
+        date: toWallClockDate(session.start, timezoneSettings).toLocaleDateString(),
         dayOfWeek,
         hour,
         tracksCount: session.tracks.length,
@@ -209,7 +264,7 @@ const ListeningBehavior = ({ rawPlayData = [], formatDuration }) => {
       mostTracks: sessionLengths.length ? 
         Math.max(...sessionLengths.map(s => s.tracksCount)) : 0
     };
-  }, [rawPlayData]);
+  }, [rawPlayData, timezoneSettings, datasetOptions]);
 
   const TabButton = ({ id, label }) => (
     <button
@@ -234,6 +289,13 @@ const ListeningBehavior = ({ rawPlayData = [], formatDuration }) => {
 
       {activeTab === 'behavior' && (
         <div className="space-y-6">
+          {behaviorData.accountDataPlays > 0 && (
+            <div className="p-3 bg-yellow-50 border border-yellow-300 rounded text-yellow-800 text-sm">
+              {behaviorData.accountDataPlays} plays from the basic Spotify &quot;Account data&quot; export
+              are left out here because it doesn&apos;t record shuffle, skips, start/end reasons or platform.
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
               <h3 className="text-lg font-bold text-indigo-700 mb-2">Shuffle vs. Normal Play</h3>
@@ -352,6 +414,50 @@ const ListeningBehavior = ({ rawPlayData = [], formatDuration }) => {
               </ResponsiveContainer>
             </div>
           </div>
+          
+          {offlineByYear.length > 0 && (
+            <div>
+              <h3 className="text-lg font-bold text-indigo-700 mb-2">Offline vs. Online by Year</h3>
+              <div className="h-64 w-full">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart
+                    data={offlineByYear}
+                    margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" />
+                    <YAxis />
+                    <Tooltip formatter={(value, name) => [`${value} hours`, name]} />
+                    <Legend />
+                    <Bar name="Online" dataKey="onlineHours" stackId="mode" fill="#8884d8" />
+                    <Bar name="Offline" dataKey="offlineHours" stackId="mode" fill="#ff8042" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <table className="w-full text-sm text-indigo-700 mt-2">
+                <thead>
+                  <tr className="border-b border-indigo-200">
+                    <th className="text-left p-1">Year</th>
+                    <th className="text-right p-1">Online plays</th>
+                    <th className="text-right p-1">Offline plays</th>
+                    <th className="text-right p-1">Offline share</th>
+                    <th className="text-right p-1">Offline time</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {offlineByYear.map(year => (
+                    <tr key={year.year} className="border-b border-indigo-100">
+                      <td className="p-1">{year.year}</td>
+                      <td className="text-right p-1">{year.onlinePlays}</td>
+                      <td className="text-right p-1">{year.offlinePlays}</td>
+                      <td className="text-right p-1">{year.offlinePercentage}%</td>
+                      <td className="text-right p-1">{formatDuration(year.offlineMs)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
       )}
 
@@ -441,6 +547,8 @@ const ListeningBehavior = ({ rawPlayData = [], formatDuration }) => {
   <ArtistByTimeOfDay
     rawPlayData={rawPlayData}
     formatDuration={formatDuration}
+    timezoneSettings={timezoneSettings}
+    datasetOptions={datasetOptions}
   />
   )}
 
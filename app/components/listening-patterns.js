@@ -1,9 +1,12 @@
 import React, { useState, useMemo } from 'react';
 import { Card, CardHeader, CardTitle, CardContent } from './ui/Card';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell, ReferenceArea } from 'recharts';
 import StreamingByYear from './streaming-by-year.js';
+import EstimatedNote from './estimated-note.js';
+import { splitPlayByHour } from './play-intervals.js';
+import { getCountingRules, countsTowardTotals, isEstimatedPlay, isMostlyEstimated } from './dataset-options.js';
 
-const ListeningPatterns = ({ rawPlayData = [], formatDuration }) => {
+const ListeningPatterns = ({ rawPlayData = [], formatDuration, timezoneSettings = null, datasetOptions = null }) => {
   const [activeTab, setActiveTab] = useState('timeOfDay');
   
   // Time of day analysis
@@ -11,20 +14,26 @@ const ListeningPatterns = ({ rawPlayData = [], formatDuration }) => {
     const hours = Array(24).fill(0).map((_, i) => ({
       hour: i,
       count: 0,
+      estimatedCount: 0,
       totalMs: 0,
       label: `${i}:00`,
       displayHour: i < 12 ? `${i} AM` : i === 12 ? '12 PM' : `${i - 12} PM`
     }));
     
     const hourlyData = [...hours];
+    const rules = getCountingRules(datasetOptions);
     
     rawPlayData.forEach(entry => {
-      if (entry.ms_played >= 30000) { // Only count plays of at least 30 seconds
-        const date = new Date(entry.ts);
-        const hour = date.getHours();
+      if (countsTowardTotals(entry, rules)) {
+        const segments = splitPlayByHour(entry, timezoneSettings, datasetOptions);
+        if (segments.length === 0) return;
         
-        hourlyData[hour].count += 1;
-        hourlyData[hour].totalMs += entry.ms_played;
+        // The play counts where it started; its minutes go to every hour it ran through
+        hourlyData[segments[0].parts.hour].count += 1;
+        if (isEstimatedPlay(entry)) hourlyData[segments[0].parts.hour].estimatedCount += 1;
+        segments.forEach(({ parts, ms }) => {
+          hourlyData[parts.hour].totalMs += ms;
+        });
       }
     });
     
@@ -53,38 +62,35 @@ const ListeningPatterns = ({ rawPlayData = [], formatDuration }) => {
     });
     
     return { hourly: hourlyData, periods: timePeriods };
-  }, [rawPlayData]);
+  }, [rawPlayData, timezoneSettings, datasetOptions]);
 
   // Day of week analysis
   const dayOfWeekData = useMemo(() => {
     const days = [
-      { name: 'Sunday', shortName: 'Sun', dayNum: 0, count: 0, totalMs: 0, color: '#FF8042' },
-      { name: 'Monday', shortName: 'Mon', dayNum: 1, count: 0, totalMs: 0, color: '#00C49F' },
-      { name: 'Tuesday', shortName: 'Tue', dayNum: 2, count: 0, totalMs: 0, color: '#FFBB28' },
-      { name: 'Wednesday', shortName: 'Wed', dayNum: 3, count: 0, totalMs: 0, color: '#FF8042' },
-      { name: 'Thursday', shortName: 'Thu', dayNum: 4, count: 0, totalMs: 0, color: '#0088FE' },
-      { name: 'Friday', shortName: 'Fri', dayNum: 5, count: 0, totalMs: 0, color: '#8884d8' },
-      { name: 'Saturday', shortName: 'Sat', dayNum: 6, count: 0, totalMs: 0, color: '#82ca9d' }
+      { name: 'Sunday', shortName: 'Sun', dayNum: 0, count: 0, estimatedCount: 0, totalMs: 0, color: '#FF8042' },
+      { name: 'Monday', shortName: 'Mon', dayNum: 1, count: 0, estimatedCount: 0, totalMs: 0, color: '#00C49F' },
+      { name: 'Tuesday', shortName: 'Tue', dayNum: 2, count: 0, estimatedCount: 0, totalMs: 0, color: '#FFBB28' },
+      { name: 'Wednesday', shortName: 'Wed', dayNum: 3, count: 0, estimatedCount: 0, totalMs: 0, color: '#FF8042' },
+      { name: 'Thursday', shortName: 'Thu', dayNum: 4, count: 0, estimatedCount: 0, totalMs: 0, color: '#0088FE' },
+      { name: 'Friday', shortName: 'Fri', dayNum: 5, count: 0, estimatedCount: 0, totalMs: 0, color: '#8884d8' },
+      { name: 'Saturday', shortName: 'Sat', dayNum: 6, count: 0, estimatedCount: 0, totalMs: 0, color: '#82ca9d' }
     ];
     
-    rawPlayData.forEach(entry => {
-      if (entry.ms_played >= 30000) {
-        const date = new Date(entry.ts);
-        const day = date.getDay();
-        
-        days[day].count += 1;
-        days[day].totalMs += entry.ms_played;
-      }
-    });
-    
     // Calculate average time per day
     const totalDays = {};
+    const rules = getCountingRules(datasetOptions);
     
     rawPlayData.forEach(entry => {
-      if (entry.ms_played >= 30000) {
-        const date = new Date(entry.ts);
-        const day = date.getDay();
-        const dateString = date.toISOString().split('T')[0];
+      if (countsTowardTotals(entry, rules)) {
+        const segments = splitPlayByHour(entry, timezoneSettings, datasetOptions);
+        if (segments.length === 0) return;
+        const { weekday: day, dateKey: dateString } = segments[0].parts;
+        
+        days[day].count += 1;
+        if (isEstimatedPlay(entry)) days[day].estimatedCount += 1;
+        segments.forEach(({ parts, ms }) => {
+          days[parts.weekday].totalMs += ms;
+        });
         
         if (!totalDays[day]) {
           totalDays[day] = new Set();
@@ -100,23 +106,23 @@ const ListeningPatterns = ({ rawPlayData = [], formatDuration }) => {
     });
     
     return days;
-  }, [rawPlayData]);
+  }, [rawPlayData, timezoneSettings, datasetOptions]);
   
   // Monthly/seasonal analysis
   const monthlyData = useMemo(() => {
     const months = [
-      { name: 'January', shortName: 'Jan', monthNum: 0, count: 0, totalMs: 0, color: '#8884d8' },
-      { name: 'February', shortName: 'Feb', monthNum: 1, count: 0, totalMs: 0, color: '#8884d8' },
-      { name: 'March', shortName: 'Mar', monthNum: 2, count: 0, totalMs: 0, color: '#8884d8' },
-      { name: 'April', shortName: 'Apr', monthNum: 3, count: 0, totalMs: 0, color: '#82ca9d' },
-      { name: 'May', shortName: 'May', monthNum: 4, count: 0, totalMs: 0, color: '#82ca9d' },
-      { name: 'June', shortName: 'Jun', monthNum: 5, count: 0, totalMs: 0, color: '#82ca9d' },
-      { name: 'July', shortName: 'Jul', monthNum: 6, count: 0, totalMs: 0, color: '#ffc658' },
-      { name: 'August', shortName: 'Aug', monthNum: 7, count: 0, totalMs: 0, color: '#ffc658' },
-      { name: 'September', shortName: 'Sep', monthNum: 8, count: 0, totalMs: 0, color: '#ffc658' },
-      { name: 'October', shortName: 'Oct', monthNum: 9, count: 0, totalMs: 0, color: '#4B9CD3' },
-      { name: 'November', shortName: 'Nov', monthNum: 10, count: 0, totalMs: 0, color: '#4B9CD3' },
-      { name: 'December', shortName: 'Dec', monthNum: 11, count: 0, totalMs: 0, color: '#4B9CD3' }
+      { name: 'January', shortName: 'Jan', monthNum: 0, count: 0, estimatedCount: 0, totalMs: 0, color: '#8884d8' },
+      { name: 'February', shortName: 'Feb', monthNum: 1, count: 0, estimatedCount: 0, totalMs: 0, color: '#8884d8' },
+      { name: 'March', shortName: 'Mar', monthNum: 2, count: 0, estimatedCount: 0, totalMs: 0, color: '#8884d8' },
+      { name: 'April', shortName: 'Apr', monthNum: 3, count: 0, estimatedCount: 0, totalMs: 0, color: '#82ca9d' },
+      { name: 'May', shortName: 'May', monthNum: 4, count: 0, estimatedCount: 0, totalMs: 0, color: '#82ca9d' },
+      { name: 'June', shortName: 'Jun', monthNum: 5, count: 0, estimatedCount: 0, totalMs: 0, color: '#82ca9d' },
+      { name: 'July', shortName: 'Jul', monthNum: 6, count: 0, estimatedCount: 0, totalMs: 0, color: '#ffc658' },
+      { name: 'August', shortName: 'Aug', monthNum: 7, count: 0, estimatedCount: 0, totalMs: 0, color: '#ffc658' },
+      { name: 'September', shortName: 'Sep', monthNum: 8, count: 0, estimatedCount: 0, totalMs: 0, color: '#ffc658' },
+      { name: 'October', shortName: 'Oct', monthNum: 9, count: 0, estimatedCount: 0, totalMs: 0, color: '#4B9CD3' },
+      { name: 'November', shortName: 'Nov', monthNum: 10, count: 0, estimatedCount: 0, totalMs: 0, color: '#4B9CD3' },
+      { name: 'December', shortName: 'Dec', monthNum: 11, count: 0, estimatedCount: 0, totalMs: 0, color: '#4B9CD3' }
     ];
     
     // Group months into seasons
@@ -127,33 +133,34 @@ const ListeningPatterns = ({ rawPlayData = [], formatDuration }) => {
       { name: 'Winter (Dec-Feb)', count: 0, totalMs: 0, color: '#4B9CD3' }
     ];
     
+    // Spring, summer, fall or winter for a month number
+    const getSeasonIndex = (month) => {
+      if (month >= 2 && month <= 4) return 0;
+      if (month >= 5 && month <= 7) return 1;
+      if (month >= 8 && month <= 10) return 2;
+      return 3;
+    };
+    const rules = getCountingRules(datasetOptions);
+    
     rawPlayData.forEach(entry => {
-      if (entry.ms_played >= 30000) {
-        const date = new Date(entry.ts);
-        const month = date.getMonth();
+      if (countsTowardTotals(entry, rules)) {
+        const segments = splitPlayByHour(entry, timezoneSettings, datasetOptions);
+        if (segments.length === 0) return;
+        const { month } = segments[0].parts;
         
         months[month].count += 1;
-        months[month].totalMs += entry.ms_played;
+        if (isEstimatedPlay(entry)) months[month].estimatedCount += 1;
+        seasons[getSeasonIndex(month)].count += 1;
         
-        // Add to seasons
-        if (month >= 2 && month <= 4) {
-          seasons[0].count += 1;
-          seasons[0].totalMs += entry.ms_played;
-        } else if (month >= 5 && month <= 7) {
-          seasons[1].count += 1;
-          seasons[1].totalMs += entry.ms_played;
-        } else if (month >= 8 && month <= 10) {
-          seasons[2].count += 1;
-          seasons[2].totalMs += entry.ms_played;
-        } else {
-          seasons[3].count += 1;
-          seasons[3].totalMs += entry.ms_played;
-        }
+        segments.forEach(({ parts, ms }) => {
+          months[parts.month].totalMs += ms;
+          seasons[getSeasonIndex(parts.month)].totalMs += ms;
+        });
       }
     });
     
     return { months, seasons };
-  }, [rawPlayData]);
+  }, [rawPlayData, timezoneSettings, datasetOptions]);
 
   const TabButton = ({ id, label }) => (
     <button
@@ -199,10 +206,14 @@ const ListeningPatterns = ({ rawPlayData = [], formatDuration }) => {
                     labelFormatter={(value) => `Hour: ${value}`}
                   />
                   <Legend />
+                  {timeOfDayData.hourly.filter(isMostlyEstimated).map(hour => (
+                    <ReferenceArea key={hour.hour} x1={hour.displayHour} x2={hour.displayHour} fill="#9ca3af" fillOpacity={0.3} />
+                  ))}
                   <Bar name="Number of Plays" dataKey="count" fill="#8884d8" />
                 </BarChart>
               </ResponsiveContainer>
             </div>
+            {timeOfDayData.hourly.some(isMostlyEstimated) && <EstimatedNote />}
           </div>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -271,11 +282,15 @@ const ListeningPatterns = ({ rawPlayData = [], formatDuration }) => {
                     }}
                   />
                   <Legend />
+                  {dayOfWeekData.filter(isMostlyEstimated).map(day => (
+                    <ReferenceArea key={day.dayNum} x1={day.shortName} x2={day.shortName} fill="#9ca3af" fillOpacity={0.3} />
+                  ))}
                   <Bar name="Number of Plays" dataKey="count" fill="#8884d8" />
                   <Bar name="Average per Day" dataKey="avgPerDay" fill="#82ca9d" />
                 </BarChart>
               </ResponsiveContainer>
             </div>
+            {dayOfWeekData.some(isMostlyEstimated) && <EstimatedNote />}
           </div>
           
           <div>
@@ -317,10 +332,14 @@ const ListeningPatterns = ({ rawPlayData = [], formatDuration }) => {
                     }}
                   />
                   <Legend />
+                  {monthlyData.months.filter(isMostlyEstimated).map(month => (
+                    <ReferenceArea key={month.monthNum} x1={month.shortName} x2={month.shortName} fill="#9ca3af" fillOpacity={0.3} />
+                  ))}
                   <Bar name="Number of Plays" dataKey="count" fill="#8884d8" />
                 </BarChart>
               </ResponsiveContainer>
             </div>
+            {monthlyData.months.some(isMostlyEstimated) && <EstimatedNote />}
           </div>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -369,6 +388,8 @@ const ListeningPatterns = ({ rawPlayData = [], formatDuration }) => {
   <StreamingByYear 
     rawPlayData={rawPlayData} 
     formatDuration={formatDuration} 
+    timezoneSettings={timezoneSettings}
+    datasetOptions={datasetOptions}
   />
 )}
      
@@ -0,0 +1,38 @@
+import { createMatchKey } from './streaming-adapter.js';
+
+// Pairs of plays that must, or must not, end up under the same track key.
+// There is no test runner, so run checkMatchKeyRegressions() from the browser
+// console (or any script that can import this module) after touching
+// normalizeString, createMatchKey or foldText; it returns the failing cases
+export const MATCH_KEY_REGRESSIONS = [
+  // Different songs in non-Latin scripts used to fold to the same empty key
+  { a: ['夜に駆ける', 'YOASOBI'], b: ['群青', 'YOASOBI'], same: false, note: 'Japanese titles' },
+  { a: ['봄날', 'BTS'], b: ['피 땀 눈물', 'BTS'], same: false, note: 'Korean titles' },
+  { a: ['Группа крови', 'Кино'], b: ['Звезда по имени Солнце', 'Кино'], same: false, note: 'Cyrillic titles' },
+  { a: ['мой', 'Кино'], b: ['мои', 'Кино'], same: false, note: 'Cyrillic й is its own letter, not и with an accent' },
+  { a: ['всё', 'Кино'], b: ['все', 'Кино'], same: false, note: 'Cyrillic ё is kept' },
+  { a: ['أنت عمري', 'أم كلثوم'], b: ['الأطلال', 'أم كلثوم'], same: false, note: 'Arabic titles' },
+  { a: ['तुम ही हो', 'Arijit Singh'], b: ['तुम हो', 'Arijit Singh'], same: false, note: 'Devanagari vowel signs are part of the word' },
+  { a: ['ガ', 'Artist'], b: ['カ', 'Artist'], same: false, note: 'Kana voicing marks are kept' },
+  { a: ['!!!', 'Artist'], b: ['???', 'Artist'], same: false, note: 'Punctuation-only titles' },
+
+  // Spellings of the same song should still meet
+  { a: ['Café del Mar', 'Energy 52'], b: ['Cafe Del Mar', 'Energy 52'], same: true, note: 'Latin accents fold away' },
+  { a: ['Déjà Vu', 'Beyoncé'], b: ['Deja Vu', 'Beyonce'], same: true, note: 'Accents on both fields' },
+  { a: ['夜に駆ける', 'YOASOBI'], b: ['夜に駆ける', 'yoasobi'], same: true, note: 'Case in the Latin artist name' },
+  { a: ['ＨＥＬＬＯ', 'Artist'], b: ['Hello', 'Artist'], same: true, note: 'Full-width letters' },
+  { a: ['Бесприданница', 'Artist'], b: ['БЕСПРИДАННИЦА', 'artist'], same: true, note: 'Cyrillic case' },
+  { a: ['봄날', 'BTS'], b: ['봄날'.normalize('NFD'), 'BTS'], same: true, note: 'Decomposed and composed Hangul' },
+  { a: ['Song (feat. Someone)', 'Artist'], b: ['Song', 'Artist'], same: true, note: 'Featured artists are still dropped' },
+  { a: ['Hello, World!', 'Artist'], b: ['Hello World', 'Artist'], same: true, note: 'Punctuation' }
+];
+
+export function checkMatchKeyRegressions() {
+  return MATCH_KEY_REGRESSIONS
+    .map(testCase => {
+      const keyA = createMatchKey(...testCase.a);
+      const keyB = createMatchKey(...testCase.b);
+      return { ...testCase, keyA, keyB };
+    })
+    .filter(({ keyA, keyB, same }) => (keyA === keyB) !== same);
+}
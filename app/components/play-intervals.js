@@ -0,0 +1,62 @@
+import { getLocalParts } from './timezone.js';
+import { isOfflinePlay } from './dataset-options.js';
+
+// Spotify's ts marks when a play ended, not when it started. These helpers turn
+// a play into the interval it actually covered and split that interval on the
+// listener's wall clock, so a long podcast finishing just after midnight is
+// counted across the hours (and days, and years) it really ran through
+
+const MINUTE_MS = 60 * 1000;
+
+// Offline timestamps before Spotify existed are placeholders, not play times
+const EARLIEST_PLAY_TIME = Date.UTC(2006, 0, 1);
+
+// offline_timestamp is epoch seconds in older exports and epoch ms in newer ones
+function toEpochMs(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) return null;
+  return number < 1e12 ? number * 1000 : number;
+}
+
+// { start, end } in epoch ms, or null when the play has no usable timestamp.
+// Plays made offline are only logged once the device syncs, so their ts is the
+// sync time; offline_timestamp is when the play really started. The dataset's
+// useOfflineTimestamp option (see dataset-options.js) can turn this off
+export function getPlayInterval(entry, datasetOptions = null) {
+  if (!entry.ts) return null;
+  const end = new Date(entry.ts).getTime();
+  if (isNaN(end)) return null;
+
+  const duration = Math.max(entry.ms_played || 0, 0);
+  const useOfflineTimestamp = !datasetOptions || datasetOptions.useOfflineTimestamp !== false;
+  const offlineStart = useOfflineTimestamp && isOfflinePlay(entry) ? toEpochMs(entry.offline_timestamp) : null;
+  if (offlineStart !== null && offlineStart >= EARLIEST_PLAY_TIME && offlineStart <= end) {
+    return { start: offlineStart, end: offlineStart + duration };
+  }
+
+  return { start: end - duration, end };
+}
+
+// The play's interval cut at every local hour boundary, as [{ parts, ms }] where
+// parts are getLocalParts of the segment start. Days, months and years all
+// begin on an hour, so hourly segments can be summed into any of them. The
+// first segment is where the play started, which is where its play count goes
+export function splitPlayByHour(entry, settings, datasetOptions = null) {
+  const interval = getPlayInterval(entry, datasetOptions);
+  if (!interval) return [];
+
+  if (interval.end <= interval.start) {
+    return [{ parts: getLocalParts(interval.start, settings), ms: 0 }];
+  }
+
+  const segments = [];
+  let cursor = interval.start;
+  while (cursor < interval.end) {
+    const parts = getLocalParts(cursor, settings);
+    const nextHour = cursor - (cursor % MINUTE_MS) + (60 - parts.minute) * MINUTE_MS;
+    const segmentEnd = Math.min(nextHour, interval.end);
+    segments.push({ parts, ms: segmentEnd - cursor });
+    cursor = segmentEnd;
+  }
+  return segments;
+}
@@ -1,7 +1,26 @@
 import React, { useState, useMemo, useEffect } from 'react';
-import { startOfDay, endOfDay, subDays, format, differenceInMinutes, parseISO } from 'date-fns';
+import { startOfDay, endOfDay, subDays, format, differenceInMinutes } from 'date-fns';
+import { toWallClockDate } from './timezone.js';
+import { getPlayInterval } from './play-intervals.js';
 
-const PodcastRankings = ({ rawPlayData = [], formatDuration, initialShows = [] }) => {
+// The first and last days anything was played, on the listener's wall clock
+function getPlayedDateRange(entries, timezoneSettings, datasetOptions) {
+  let earliest = null;
+  let latest = null;
+  for (const entry of entries) {
+    const interval = getPlayInterval(entry, datasetOptions);
+    if (!interval) continue;
+    if (earliest === null || interval.start < earliest) earliest = interval.start;
+    if (latest === null || interval.start > latest) latest = interval.start;
+  }
+  if (earliest === null) return null;
+  return {
+    start: format(toWallClockDate(earliest, timezoneSettings), 'yyyy-MM-dd'),
+    end: format(toWallClockDate(latest, timezoneSettings), 'yyyy-MM-dd')
+  };
+}
+
+const PodcastRankings = ({ rawPlayData = [], formatDuration, initialShows = [], timezoneSettings = null, datasetOptions = null }) => {
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
   const [topN, setTopN] = useState(50);
@@ -21,19 +40,12 @@ const PodcastRankings = ({ rawPlayData = [], formatDuration, initialShows = [] }
 
   useEffect(() => {
     if (!startDate && !endDate && rawPlayData.length > 0) {
-      let earliest = new Date(rawPlayData[0].ts);
-      let latest = new Date(rawPlayData[0].ts);
-      
-      for (const entry of rawPlayData) {
-        const date = new Date(entry.ts);
-        if (date < earliest) earliest = date;
-        if (date > latest) latest = date;
-      }
-      
-      setStartDate(format(earliest, 'yyyy-MM-dd'));
-      setEndDate(format(latest, 'yyyy-MM-dd'));
+      const range = getPlayedDateRange(rawPlayData, timezoneSettings, datasetOptions);
+      if (!range) return;
+      setStartDate(range.start);
+      setEndDate(range.end);
     }
-  }, [rawPlayData, startDate, endDate]);
+  }, [rawPlayData, startDate, endDate, timezoneSettings, datasetOptions]);
 
   // Get unique shows from raw play data
   const allShows = useMemo(() => {
@@ -66,7 +78,10 @@ const PodcastRankings = ({ rawPlayData = [], formatDuration, initialShows = [] }
     
     // Filter relevant play events and group by episode
     const relevantEvents = rawPlayData.filter(entry => {
-      const timestamp = new Date(entry.ts);
+      // Compare when the play started on the listener's wall clock, like the date pickers
+      const interval = getPlayInterval(entry, datasetOptions);
+      if (!interval) return false;
+      const timestamp = toWallClockDate(interval.start, timezoneSettings);
       return (
         timestamp >= start && 
         timestamp <= end && 
@@ -112,7 +127,7 @@ const PodcastRankings = ({ rawPlayData = [], formatDuration, initialShows = [] }
       }
       
       episodeMap[key].events.push({
-        timestamp: parseISO(entry.ts),
+        timestamp: new Date(getPlayInterval(entry, datasetOptions).start),
         duration: entry.ms_played,
         platform: entry.platform || 'unknown'
       });
@@ -254,7 +269,7 @@ const PodcastRankings = ({ rawPlayData = [], formatDuration, initialShows = [] }
       }))
       .sort((a, b) => b[sortBy] - a[sortBy])
       .slice(0, topN);
-  }, [rawPlayData, startDate, endDate, topN, sortBy, selectedShows, duplicateThreshold]);
+  }, [rawPlayData, startDate, endDate, topN, sortBy, selectedShows, duplicateThreshold, timezoneSettings, datasetOptions]);
 
   // Date range functions
   const setQuickRange = (days) => {
@@ -301,18 +316,10 @@ const PodcastRankings = ({ rawPlayData = [], formatDuration, initialShows = [] }
   };
 
   const setAllTime = () => {
-    if (rawPlayData.length > 0) {
-      let earliest = new Date(rawPlayData[0].ts);
-      let latest = new Date(rawPlayData[0].ts);
-      
-      for (const entry of rawPlayData) {
-        const date = new Date(entry.ts);
-        if (date < earliest) earliest = date;
-        if (date > latest) latest = date;
-      }
-      
-      setStartDate(format(earliest, 'yyyy-MM-dd'));
-      setEndDate(format(latest, 'yyyy-MM-dd'));
+    const range = getPlayedDateRange(rawPlayData, timezoneSettings, datasetOptions);
+    if (range) {
+      setStartDate(range.start);
+      setEndDate(range.end);
     }
   };
 
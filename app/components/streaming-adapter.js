@@ -1,6 +1,16 @@
 import Papa from 'papaparse';
 import _ from 'lodash';
 import * as XLSX from 'xlsx';
+import JSZip from 'jszip';
+import { fromWallClock, getLocalParts } from './timezone.js';
+import { getPlayInterval } from './play-intervals.js';
+import { createLibrary, mergeLibraries } from './library-data.js';
+import { applyAliasRules, getOriginalEntry } from './alias-rules.js';
+import { foldText } from './text-normalize.js';
+import { createTrackResolver } from './track-identity.js';
+import { createArtistNameLookup, getArtistCredits } from './artist-credits.js';
+import { getProfileAdapterId } from './column-mapping.js';
+import { createDatasetOptions, getCountingRules, isEstimatedPlay, isExcludedPlay, isIncognitoPlay, isPodcastPlay } from './dataset-options.js';
 
 // Define a common structure for streaming data
 export const STREAMING_TYPES = {
@@ -9,40 +19,77 @@ export const STREAMING_TYPES = {
   YOUTUBE_MUSIC: 'youtube_music',
   TIDAL: 'tidal',
   DEEZER: 'deezer',
-  SOUNDCLOUD: 'soundcloud'
+  SOUNDCLOUD: 'soundcloud',
+  LASTFM: 'lastfm',
+  LISTENBRAINZ: 'listenbrainz',
+  OTHER: 'other'
 };
 
+// Analyses that can't be computed from Spotify's basic "Account data" export,
+// which only has end time, artist, track and ms played
+export const ACCOUNT_DATA_UNAVAILABLE_ANALYSES = [
+  'Shuffle vs. normal play',
+  'Skips and track completion',
+  'How tracks start and end',
+  'Platforms used',
+  'Album names and album rankings'
+];
+
 // Service metadata for UI
 export const STREAMING_SERVICES = {
   [STREAMING_TYPES.SPOTIFY]: {
     name: 'Spotify',
     downloadUrl: 'https://www.spotify.com/account/privacy/',
-    instructions: 'Request your "Extended streaming history" and wait for the email (can take up to 5 days)',
-    acceptedFormats: '.json'
+    instructions: 'Request your "Extended streaming history" and wait for the email (can take up to 5 days). You can upload the my_spotify_data.zip as is. The quicker "Account data" export (StreamingHistory_music_0.json) works too, but with fewer statistics',
+    acceptedFormats: '.json,.zip'
   },
   [STREAMING_TYPES.APPLE_MUSIC]: {
     name: 'Apple Music',
     downloadUrl: 'https://privacy.apple.com/',
-    instructions: 'Go to URL and request a copy of your data and open Apple_Media_Services/Apple Music Activity/Apple Music - Play History Daily Tracks',
-    acceptedFormats: '.csv'
+    instructions: 'Go to URL and request a copy of your data and open Apple_Media_Services/Apple Music Activity/Apple Music Play Activity.csv, which has every play with its own time, or Apple Music - Play History Daily Tracks (or upload the whole archive)',
+    acceptedFormats: '.csv,.zip'
   },
   [STREAMING_TYPES.YOUTUBE_MUSIC]: {
     name: 'YouTube Music',
     downloadUrl: 'https://takeout.google.com/',
-    instructions: 'Select YouTube and YouTube Music data in Google Takeout',
-    acceptedFormats: '.json,.csv'
+    instructions: 'In Google Takeout select "YouTube and YouTube Music", include history, and upload watch-history.json (or watch-history.html) from the history folder (or upload the Takeout .zip)',
+    acceptedFormats: '.json,.html,.zip'
+  },
+  [STREAMING_TYPES.TIDAL]: {
+    name: 'Tidal',
+    downloadUrl: 'https://account.tidal.com/',
+    instructions: 'Email Tidal support to request your personal data (GDPR export). Upload the streaming/playback history CSV from the archive they send you',
+    acceptedFormats: '.csv'
   },
   [STREAMING_TYPES.DEEZER]: {
     name: 'Deezer',
     downloadUrl: 'https://www.deezer.com/account',
     instructions: 'Go to Account Settings and in the third tab Private information above your birthdate you see My personal data next to Privacy Settings press then download your listening history',
-    acceptedFormats: '.csv,.xlsx'
+    acceptedFormats: '.csv,.xlsx,.zip'
   },
   [STREAMING_TYPES.SOUNDCLOUD]: {
     name: 'SoundCloud',
     instructions: 'You have to send customer service a mail for your SoundCloud history. Mine only went back to 2024 so it isn\'t that comprehensive for me',
     downloadUrl: 'https://soundcloud.com/settings/account',
     acceptedFormats: '.csv'
+  },
+  [STREAMING_TYPES.LASTFM]: {
+    name: 'Last.fm',
+    downloadUrl: 'https://www.last.fm/',
+    instructions: 'Last.fm has no export button, so use a scrobble export tool and upload the CSV or JSON it gives you. Scrobbles of plays that are also in your Spotify history are dropped, and the rest get their length from Spotify plays of the same track',
+    acceptedFormats: '.csv,.json'
+  },
+  [STREAMING_TYPES.LISTENBRAINZ]: {
+    name: 'ListenBrainz',
+    downloadUrl: 'https://listenbrainz.org/settings/export/',
+    instructions: 'Export your listens from your ListenBrainz settings and upload the .zip, or the .jsonl listen files inside it. Listens of plays that are also in your Spotify history are dropped',
+    acceptedFormats: '.json,.jsonl,.zip'
+  },
+  [STREAMING_TYPES.OTHER]: {
+    name: 'Other source',
+    downloadUrl: null,
+    instructions: 'Any CSV, TSV or Excel file with one play per row. Upload it, press "Map columns" next to it and pick the columns for the date, artist and track. The mapping is saved, so files laid out the same way are read without asking again',
+    acceptedFormats: '.csv,.tsv,.xlsx'
   }
 };
 
@@ -125,8 +172,8 @@ function normalizeString(str) {
     .replace(/\s*-\s*$/, '')   // Remove trailing dash
     .trim();
   
-  // Remove all non-alphanumeric characters except spaces
-  normalized = normalized.replace(/[^\w\s]/g, '').trim();
+  // Fold accents and drop punctuation, keeping letters and numbers of every script
+  normalized = foldText(normalized);
   
   // Store featureArtists in the entry if needed
   return {
@@ -141,9 +188,15 @@ function createMatchKey(trackName, artistName) {
   const { normalized: normTrack } = normalizeString(trackName);
   const { normalized: normArtist } = normalizeString(artistName);
   
-  // Remove all non-alphanumeric characters and convert to lowercase
-  const cleanTrack = normTrack.toLowerCase().replace(/[^\w\s]/g, '').trim();
-  const cleanArtist = normArtist.toLowerCase().replace(/[^\w\s]/g, '').trim();
+  return buildMatchKey(normTrack, normArtist, trackName, artistName);
+}
+
+// createMatchKey for callers that already have the normalizeString results
+function buildMatchKey(normTrack, normArtist, trackName, artistName) {
+  // A title made only of punctuation folds to nothing; keep it as written
+  // rather than letting every such title share one key
+  const cleanTrack = normTrack || trackName.trim().toLowerCase();
+  const cleanArtist = normArtist || artistName.trim().toLowerCase();
   
   return `${cleanTrack}-${cleanArtist}`;
 }
@@ -185,8 +238,118 @@ function parseListeningTime(timeValue) {
   return ms_played;
 }
 
+// Import diagnostics: every parser records the rows it dropped or had to fill in
+const REPORT_SAMPLE_LIMIT = 3;
+
+// Rows already counted as defaulted, per report (kept outside the report so it stays serializable)
+const defaultedRowsByReport = new WeakMap();
+
+function createFileReport(name, adapterName) {
+  return {
+    name,
+    adapter: adapterName,
+    headers: null,
+    parsed: 0,
+    rejected: 0,
+    defaulted: 0,
+    flagged: 0,
+    error: null,
+    issues: {}
+  };
+}
+
+// Keep samples small and plain so the report can be shown and exported as is
+function toReportSample(row) {
+  if (row === null || typeof row !== 'object') return row;
+  const sample = {};
+  Object.entries(row).slice(0, 12).forEach(([key, value]) => {
+    if (value instanceof Date) {
+      sample[key] = isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+    } else if (typeof value === 'string' && value.length > 120) {
+      sample[key] = `${value.slice(0, 120)}…`;
+    } else if (value === null || typeof value !== 'object') {
+      sample[key] = value;
+    }
+  });
+  return sample;
+}
+
+function recordIssue(report, kind, reason, row) {
+  if (!report) return;
+  const key = `${kind}:${reason}`;
+  if (!report.issues[key]) {
+    report.issues[key] = { kind, reason, count: 0, samples: [] };
+  }
+  const issue = report.issues[key];
+  issue.count++;
+  if (issue.samples.length < REPORT_SAMPLE_LIMIT) {
+    issue.samples.push(toReportSample(row));
+  }
+}
+
+function recordRejected(report, reason, row) {
+  if (!report) return;
+  report.rejected++;
+  recordIssue(report, 'rejected', reason, row);
+}
+
+// Mark what an importer had to make up for an entry, as
+// estimated: { timestamp, duration }, so analyses can leave it out and charts
+// can flag periods built mostly from guesses
+function markEstimated(entry, { timestamp = false, duration = false }) {
+  if (timestamp || duration) {
+    entry.estimated = { timestamp, duration };
+  }
+  return entry;
+}
+
+// A row counts once towards `defaulted`, however many of its fields were guessed
+function recordDefaulted(report, reason, row) {
+  if (!report) return;
+  let rows = defaultedRowsByReport.get(report);
+  if (!rows) {
+    rows = new WeakSet();
+    defaultedRowsByReport.set(report, rows);
+  }
+  if (row && typeof row === 'object') {
+    if (!rows.has(row)) {
+      rows.add(row);
+      report.defaulted++;
+    }
+  } else {
+    report.defaulted++;
+  }
+  recordIssue(report, 'defaulted', reason, row);
+}
+
+// Allow for clock skew before treating a play as coming from the future
+const FUTURE_TIMESTAMP_TOLERANCE = 24 * 60 * 60 * 1000;
+
+export function hasValidTimestamp(entry) {
+  if (!entry || entry.timestampInvalid || entry.ts === null || entry.ts === undefined) return false;
+  const time = new Date(entry.ts).getTime();
+  return !isNaN(time) && time <= Date.now() + FUTURE_TIMESTAMP_TOLERANCE;
+}
+
+// Parsers leave unreadable dates as they found them; rather than guessing a
+// date, keep the original value and flag the play so it can be reviewed
+function flagInvalidTimestamps(entries, report = null) {
+  entries.forEach(entry => {
+    if (hasValidTimestamp(entry)) return;
+    recordIssue(report, 'flagged', 'Missing, unreadable or future timestamp', entry);
+    let rawTimestamp = entry.ts ?? null;
+    if (rawTimestamp instanceof Date) {
+      rawTimestamp = isNaN(rawTimestamp.getTime()) ? 'Invalid Date' : rawTimestamp.toISOString();
+    }
+    entry.raw_timestamp = rawTimestamp;
+    entry.timestampInvalid = true;
+    entry.ts = null;
+    if (report) report.flagged++;
+  });
+}
+
 // Process SoundCloud CSV data
-async function processSoundcloudCSV(content) {
+async function processSoundcloudCSV(content, report = null) {
   return new Promise((resolve) => {
     Papa.parse(content, {
       header: true,
@@ -194,10 +357,14 @@ async function processSoundcloudCSV(content) {
       skipEmptyLines: true,
       delimitersToGuess: [',', '\t', '|', ';'],
       complete: (results) => {
-        console.log('Soundcloud CSV headers:', results.meta.fields);
+        if (report) report.headers = results.meta.fields;
         
         const transformedData = results.data
-          .filter(row => row['play_time'] && row['track_title'])
+          .filter(row => {
+            if (row['play_time'] && row['track_title']) return true;
+            recordRejected(report, 'Missing play_time or track_title', row);
+            return false;
+          })
           .map(row => {
             // Parse the play time
             const playTime = new Date(row.play_time);
@@ -238,8 +405,9 @@ async function processSoundcloudCSV(content) {
                       trackName.toLowerCase().includes("skit")) {
               estimatedDuration = 90000; // 1.5 minutes for intros/skits
             }
+            recordDefaulted(report, 'Play duration estimated from the track title', row);
             
-            return {
+            return markEstimated({
               ts: playTime,
               ms_played: estimatedDuration,
               master_metadata_track_name: trackName,
@@ -253,22 +421,120 @@ async function processSoundcloudCSV(content) {
               source: "soundcloud",
               username: uploader,
               url: row.track_url
-            };
+            }, { duration: true });
           });
         
-        console.log(`Transformed ${transformedData.length} Soundcloud entries`);
         resolve(transformedData);
       },
       error: (error) => {
         console.error('Error parsing Soundcloud CSV:', error);
+        if (report) report.error = `Could not parse CSV: ${error.message}`;
         resolve([]);
       }
     });
   });
 }
 
-// Process Apple Music CSV data
-async function processAppleMusicCSV(content) {
+function parseAppleEventTime(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+function isApplePlayActivityHeader(fields) {
+  return fields.includes('Event Start Timestamp') &&
+    (fields.includes('Song Name') || fields.includes('Content Name'));
+}
+
+// End reasons in Apple's Play Activity file as Spotify's reason_end; others
+// are kept in lower case so they still show up in the end reason charts
+const APPLE_END_REASONS = {
+  NATURAL_END_OF_TRACK: 'trackdone',
+  TRACK_SKIPPED_FORWARDS: 'fwdbtn',
+  TRACK_SKIPPED_BACKWARDS: 'backbtn',
+  MANUALLY_SELECTED_PLAYBACK_OF_A_DIFF_ITEM: 'clickrow',
+  PLAYBACK_MANUALLY_PAUSED: 'endplay',
+  PLAYBACK_STOPPED_DUE_TO_SESSION_TIMEOUT: 'endplay',
+  EXITED_APPLICATION: 'logout',
+  FAILED_TO_LOAD: 'trackerror',
+  NOT_APPLICABLE: 'unknown'
+};
+
+// Readable device columns, when the export has them; the identifier is a hash
+const APPLE_DEVICE_COLUMNS = ['Device Type', 'Device Model', 'Device OS Name'];
+
+// "Apple Music Play Activity.csv" has one row per playback event, with real
+// start and end times, so unlike the other Apple files nothing is spread out
+function mapApplePlayActivity(rows, fields, report) {
+  const trackColumn = findColumn(fields, ['Song Name', 'Content Name']);
+  const artistColumn = findColumn(fields, ['Artist Name', 'Container Artist Name']);
+  const deviceColumn = findColumn(fields, APPLE_DEVICE_COLUMNS);
+  const hasEventType = fields.includes('Event Type');
+
+  return rows
+    .filter(row => {
+      // Starts, lyrics views and the like are logged next to finished plays
+      if (hasEventType && row['Event Type'] !== 'PLAY_END') {
+        recordRejected(report, `Not a finished play (${row['Event Type'] || 'no Event Type'})`, row);
+        return false;
+      }
+      if (row[trackColumn]) return true;
+      recordRejected(report, `Missing ${trackColumn}`, row);
+      return false;
+    })
+    .map(row => {
+      const start = parseAppleEventTime(row['Event Start Timestamp']);
+      const end = parseAppleEventTime(row['Event End Timestamp']);
+
+      let playDuration;
+      let durationDefaulted = false;
+      if (typeof row['Play Duration Milliseconds'] === 'number' && row['Play Duration Milliseconds'] >= 0) {
+        playDuration = row['Play Duration Milliseconds'];
+      } else if (start && end) {
+        playDuration = end.getTime() - start.getTime();
+      } else {
+        playDuration = 210000; // Default to 3.5 min
+        durationDefaulted = true;
+        recordDefaulted(report, 'Missing play duration, assumed 3.5 minutes', row);
+      }
+
+      // Without an end time the play ends its duration after the start; without
+      // either the raw value is kept and the play gets flagged for review
+      const timestamp = end ||
+        (start ? new Date(start.getTime() + playDuration) : row['Event End Timestamp'] || row['Event Start Timestamp'] || null);
+
+      const endReason = row['End Reason Type'] ? String(row['End Reason Type']) : null;
+      const reasonEnd = endReason ? APPLE_END_REASONS[endReason] || endReason.toLowerCase() : null;
+
+      let platform = 'APPLE';
+      if (deviceColumn && row[deviceColumn]) {
+        platform = `APPLE-${String(row[deviceColumn]).toUpperCase()}`;
+      } else if (row['Device Identifier']) {
+        platform = `APPLE-${String(row['Device Identifier']).slice(0, 8).toUpperCase()}`;
+      }
+
+      let albumName = row['Album Name'] || 'Unknown Album';
+      if (!row['Album Name'] && String(row['Container Type'] || '').includes('ALBUM')) {
+        albumName = row['Container Album Name'] || row['Container Name'] || albumName;
+      }
+
+      return markEstimated({
+        master_metadata_track_name: String(row[trackColumn]),
+        ts: timestamp,
+        ms_played: playDuration,
+        master_metadata_album_artist_name: artistColumn && row[artistColumn] ? String(row[artistColumn]) : 'Unknown Artist',
+        master_metadata_album_album_name: String(albumName),
+        duration_ms: row['Media Duration In Milliseconds'] || null,
+        reason_end: reasonEnd,
+        skipped: reasonEnd === 'fwdbtn' || reasonEnd === 'backbtn',
+        platform,
+        source: 'apple_music'
+      }, { duration: durationDefaulted });
+    });
+}
+
+// Process Apple Music CSV data. Daily Tracks hours have no zone, so they are
+// read on the wall clock timezoneSettings give for that day
+async function processAppleMusicCSV(content, report = null, timezoneSettings = null) {
   return new Promise((resolve) => {
     Papa.parse(content, {
       header: true,
@@ -276,7 +542,7 @@ async function processAppleMusicCSV(content) {
       skipEmptyLines: true,
       delimitersToGuess: [',', '\t', '|', ';'],
       complete: (results) => {
-        console.log('Apple Music CSV headers:', results.meta.fields);
+        if (report) report.headers = results.meta.fields;
         let transformedData = [];
         
         // Detect file format
@@ -289,11 +555,22 @@ async function processAppleMusicCSV(content) {
         const isDailyTracks = results.meta.fields.some(f => 
           f === 'Track Description' && results.meta.fields.includes('Date Played'));
 
-        if (isRecentlyPlayedTracks) {
+        if (isApplePlayActivityHeader(results.meta.fields)) {
+          transformedData = mapApplePlayActivity(results.data, results.meta.fields, report);
+        } else if (isRecentlyPlayedTracks) {
           // Process the detailed Recently Played Tracks format
-          console.log('Processing Apple Music Recently Played Tracks format');
           transformedData = results.data
-            .filter(row => row['Track Description'] && row['Total plays'] > 0)
+            .filter(row => {
+              if (!row['Track Description']) {
+                recordRejected(report, 'Missing Track Description', row);
+                return false;
+              }
+              if (!(row['Total plays'] > 0)) {
+                recordRejected(report, 'No plays recorded', row);
+                return false;
+              }
+              return true;
+            })
             .map(row => {
               // Parse track information from Track Description
               let trackDescription = row['Track Description'] || '';
@@ -314,20 +591,21 @@ async function processAppleMusicCSV(content) {
               const totalDuration = parseInt(row['Total play duration in millis']) || 0;
               const trackDuration = parseInt(row['Media duration in millis']) || 0;
               
-              // Get the timestamps
-              let firstPlayed, lastPlayed;
-              try {
-                firstPlayed = row['First Event Timestamp'] ? 
-                              new Date(row['First Event Timestamp']) : 
-                              new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // fallback to 30 days ago
-                
-                lastPlayed = row['Last Event End Timestamp'] ? 
-                            new Date(row['Last Event End Timestamp']) : 
-                            new Date();
-              } catch (e) {
-                console.warn('Error parsing timestamps in Recently Played Tracks:', e);
-                firstPlayed = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-                lastPlayed = new Date();
+              // Get the timestamps; if only one is usable, all plays get that one
+              let firstPlayed = parseAppleEventTime(row['First Event Timestamp']);
+              let lastPlayed = parseAppleEventTime(row['Last Event End Timestamp']);
+              
+              if (!firstPlayed !== !lastPlayed) {
+                recordDefaulted(report, 'Missing first or last play timestamp, used the other one', row);
+                firstPlayed = firstPlayed || lastPlayed;
+                lastPlayed = lastPlayed || firstPlayed;
+              }
+              // Without either timestamp the plays are kept but flagged for review
+              const hasTimestamps = Boolean(firstPlayed && lastPlayed);
+              const rawTimestamp = row['Last Event End Timestamp'] || row['First Event Timestamp'] || null;
+              
+              if (hasTimestamps && totalPlays > 1) {
+                recordDefaulted(report, 'Individual play times spread evenly between first and last play', row);
               }
               
               // Calculate average play duration
@@ -354,7 +632,7 @@ async function processAppleMusicCSV(content) {
                 // Just one play - use the last timestamp
                 plays.push({
                   master_metadata_track_name: trackName,
-                  ts: lastPlayed, // Store Date object instead of ISO string
+                  ts: hasTimestamps ? lastPlayed : rawTimestamp, // Store Date object instead of ISO string
                   ms_played: avgPlayDuration,
                   master_metadata_album_artist_name: artistName,
                   master_metadata_album_album_name: albumName,
@@ -364,11 +642,13 @@ async function processAppleMusicCSV(content) {
                 });
               } else {
                 // Multiple plays - distribute them between first and last
-                const timeRange = lastPlayed.getTime() - firstPlayed.getTime();
+                const timeRange = hasTimestamps ? lastPlayed.getTime() - firstPlayed.getTime() : 0;
                 const timeStep = timeRange / (totalPlays - 1);
                 
                 for (let i = 0; i < totalPlays; i++) {
-                  const playTime = new Date(firstPlayed.getTime() + (timeStep * i));
+                  const playTime = hasTimestamps
+                    ? new Date(firstPlayed.getTime() + (timeStep * i))
+                    : rawTimestamp;
                   plays.push({
                     master_metadata_track_name: trackName,
                     ts: playTime, // Store Date object instead of ISO string
@@ -390,6 +670,12 @@ async function processAppleMusicCSV(content) {
                 });
               }
               
+              // With several plays per row, the times are spread out and each
+              // duration is the row's average, not what actually happened
+              if (totalPlays > 1) {
+                plays.forEach(play => markEstimated(play, { timestamp: hasTimestamps, duration: true }));
+              }
+              
               return plays;
             });
           
@@ -399,22 +685,14 @@ async function processAppleMusicCSV(content) {
         } else if (isTrackPlayHistory) {
           // Process the simpler Track Play History format
           transformedData = results.data
-            .filter(row => row['Track Name'] && row['Last Played Date'])
+            .filter(row => {
+              if (row['Track Name'] && row['Last Played Date']) return true;
+              recordRejected(report, 'Missing Track Name or Last Played Date', row);
+              return false;
+            })
             .map(row => {
-              // Handle special case for Kenny Rogers
-              if (row['Track Name'] && 
-                  row['Track Name'].toLowerCase().includes("just dropped in") && 
-                  row['Track Name'].toLowerCase().includes("kenny rogers")) {
-                return {
-                  master_metadata_track_name: 'Just Dropped In (To See What Condition My Condition Is In)',
-                  ts: new Date(parseInt(row['Last Played Date'])), // Store Date object
-                  ms_played: row['Is User Initiated'] ? 240000 : 30000,
-                  master_metadata_album_artist_name: 'Kenny Rogers & The First Edition',
-                  master_metadata_album_album_name: 'Unknown Album',
-                  source: 'apple_music'
-                };
-              }
-          
+              recordDefaulted(report, 'Play duration estimated from Is User Initiated', row);
+
               // Parse track name from Apple Music format
               let trackName = row['Track Name'] || '';
               let artistName = 'Unknown Artist';
@@ -426,32 +704,32 @@ async function processAppleMusicCSV(content) {
                 trackName = trackName.substring(dashIndex + 3).trim();
               }
               
-              // Convert timestamp from milliseconds to Date object
-              let timestamp;
-              try {
-                timestamp = new Date(parseInt(row['Last Played Date'])); // Store Date object
-              } catch (e) {
-                // Fallback if timestamp parsing fails
-                timestamp = new Date();
-              }
+              // Convert timestamp from milliseconds to Date object; an unreadable
+              // value is kept as-is so the entry gets flagged for review
+              const parsedDate = new Date(parseInt(row['Last Played Date']));
+              const timestamp = isNaN(parsedDate.getTime()) ? row['Last Played Date'] : parsedDate;
               
               // Estimate play time (Apple doesn't provide this)
               // User-initiated plays likely involve full tracks
               const estimatedPlayTime = row['Is User Initiated'] ? 240000 : 30000;
               
-              return {
+              return markEstimated({
                 master_metadata_track_name: trackName,
                 ts: timestamp, // Store Date object instead of ISO string
                 ms_played: estimatedPlayTime,
                 master_metadata_album_artist_name: artistName,
                 master_metadata_album_album_name: 'Unknown Album',
                 source: 'apple_music'
-              };
+              }, { duration: true });
             });
         } else if (isDailyTracks) {
           // Process the more detailed Daily Tracks format
           transformedData = results.data
-            .filter(row => row['Track Description'] && row['Date Played'])
+            .filter(row => {
+              if (row['Track Description'] && row['Date Played']) return true;
+              recordRejected(report, 'Missing Track Description or Date Played', row);
+              return false;
+            })
             .map(row => {
               // Parse track information from Track Description
               let trackDescription = row['Track Description'] || '';
@@ -467,6 +745,7 @@ async function processAppleMusicCSV(content) {
               
               // Parse date (format is typically YYYYMMDD)
               let timestamp;
+              let hourAssumed = false;
               try {
                 const datePlayed = row['Date Played'].toString();
                 // Format YYYYMMDD to YYYY-MM-DD
@@ -477,20 +756,21 @@ async function processAppleMusicCSV(content) {
                   
                   // If hours field exists, use it for more precise timestamp
                   let hours = 12; // Default to noon if no hour specified
+                  hourAssumed = !row['Hours'];
                   if (row['Hours']) {
                     // Hours field might be like "19, 20" (meaning spanning multiple hours)
                     // Just take the first number
                     const hoursStr = row['Hours'].toString().split(',')[0].trim();
                     hours = parseInt(hoursStr) || 12;
+                  } else {
+                    recordDefaulted(report, 'No hour given, assumed noon', row);
                   }
                   
-                  // Create date using proper component values
-                  timestamp = new Date(year, month, day, hours, 0, 0);
+                  timestamp = fromWallClock(year, month, day, hours, 0, timezoneSettings);
                   
-                  // Validate the date - if it's invalid or in the future, log and use fallback
+                  // Invalid or future dates keep the raw value and get flagged for review
                   if (isNaN(timestamp.getTime()) || timestamp > new Date()) {
-                    console.warn('Invalid or future date detected:', datePlayed, 'Using fallback date');
-                    timestamp = new Date(2022, 0, 1); // Fallback to January 1, 2022
+                    timestamp = datePlayed;
                   }
                 } else {
                   // Fallback to parsing as integer timestamp
@@ -500,17 +780,18 @@ async function processAppleMusicCSV(content) {
                   if (!isNaN(parsed.getTime()) && parsed <= new Date()) {
                     timestamp = parsed;
                   } else {
-                    console.warn('Invalid timestamp detected:', datePlayed, 'Using fallback date');
-                    timestamp = new Date(2022, 0, 1); // Fallback to January 1, 2022
+                    timestamp = datePlayed;
                   }
                 }
               } catch (e) {
-                console.warn('Error parsing Daily Tracks date:', row['Date Played'], e);
-                timestamp = new Date(2022, 0, 1); // Fallback to January 1, 2022
+                timestamp = row['Date Played'] ?? null;
               }
               
               // Get play duration in milliseconds
               const playDuration = row['Play Duration Milliseconds'] || 210000; // Default to 3.5 min
+              if (!row['Play Duration Milliseconds']) {
+                recordDefaulted(report, 'Missing play duration, assumed 3.5 minutes', row);
+              }
               
               // Handle podcast vs music distinction if possible
               const isPodcast = trackDescription.toLowerCase().includes('podcast') || 
@@ -532,13 +813,14 @@ async function processAppleMusicCSV(content) {
                 result.episode_show_name = artistName;
               }
               
-              return result;
+              return markEstimated(result, {
+                timestamp: hourAssumed,
+                duration: !row['Play Duration Milliseconds']
+              });
             });
-          
-          console.log(`Transformed ${transformedData.length} Apple Music Data entries`);
         } else {
           // Unknown Apple Music format, try a generic approach
-          console.log('Unknown Apple Music CSV format, attempting generic parsing');
+          recordIssue(report, 'note', 'Unknown Apple Music CSV layout, guessed the track and date columns', null);
           
           // Look for possible track name and date fields
           const nameFields = results.meta.fields.filter(f => 
@@ -560,8 +842,14 @@ async function processAppleMusicCSV(content) {
             const dateField = dateFields[0];
             
             transformedData = results.data
-              .filter(row => row[nameField])
+              .filter(row => {
+                if (row[nameField]) return true;
+                recordRejected(report, `Missing ${nameField}`, row);
+                return false;
+              })
               .map(row => {
+                recordDefaulted(report, 'Play duration unknown, assumed 3 minutes', row);
+
                 let trackDescription = row[nameField] || '';
                 let trackName = trackDescription;
                 let artistName = 'Unknown Artist';
@@ -572,44 +860,192 @@ async function processAppleMusicCSV(content) {
                   trackName = trackDescription.substring(dashIndex + 3).trim();
                 }
                 
-                let timestamp;
-                try {
-                  if (typeof row[dateField] === 'number') {
-                    timestamp = new Date(row[dateField]); // Store Date object
-                  } else if (typeof row[dateField] === 'string') {
-                    timestamp = new Date(row[dateField]); // Store Date object
-                  } else {
-                    timestamp = new Date(); // Store Date object
+                // Missing or unreadable dates are flagged for review after parsing
+                let timestamp = row[dateField] ?? null;
+                if (typeof row[dateField] === 'number' || typeof row[dateField] === 'string') {
+                  const parsed = new Date(row[dateField]);
+                  if (!isNaN(parsed.getTime())) {
+                    timestamp = parsed; // Store Date object
                   }
-                } catch (e) {
-                  timestamp = new Date(); // Store Date object
                 }
                 
-                return {
+                return markEstimated({
                   master_metadata_track_name: trackName,
                   ts: timestamp, // Store Date object instead of ISO string
                   ms_played: 180000, // Default 3 minutes
                   master_metadata_album_artist_name: artistName,
                   master_metadata_album_album_name: 'Unknown Album',
                   source: 'apple_music'
-                };
+                }, { duration: true });
               });
+          } else if (report) {
+            report.error = 'Could not find a track name and a date column';
           }
         }
         
-        console.log('Transformed Apple Music Data:', transformedData.length);
         resolve(transformedData);
       },
       error: (error) => {
         console.error('Error parsing Apple Music CSV:', error);
+        if (report) report.error = `Could not parse CSV: ${error.message}`;
         resolve([]);
       }
     });
   });
 }
 
-// Process Deezer XLSX file
-async function processDeezerXLSX(file) {
+// Deezer's export is a workbook with one sheet per kind of data; the same
+// columns also turn up as a CSV when the listening history is saved on its own
+const DEEZER_HISTORY_COLUMNS = ['Song Title', 'Listening Time'];
+
+// Workbooks are recognised by their sheets, since exports get renamed
+function getDeezerSheetKind(sheetName) {
+  const name = sheetName.toLowerCase().replace(/[^a-z]/g, '');
+  if (name.includes('listeninghistory')) return 'history';
+  if (name.includes('playlist')) return 'playlists';
+  if (name.includes('favo')) {
+    if (name.includes('album')) return 'favouriteAlbums';
+    if (name.includes('artist')) return 'favouriteArtists';
+    if (name.includes('song') || name.includes('track')) return 'favouriteTracks';
+  }
+  return null;
+}
+
+// Reading only the sheet names is cheap, and detect() runs once per adapter,
+// so the names are kept for each file
+const workbookSheetNames = new WeakMap();
+
+function readWorkbookSheetNames(file) {
+  if (!workbookSheetNames.has(file)) {
+    workbookSheetNames.set(file, file.arrayBuffer()
+      .then(buffer => XLSX.read(new Uint8Array(buffer), { type: 'array', bookSheets: true }).SheetNames)
+      .catch(error => {
+        console.warn(`Could not read the sheets of ${file.name}:`, error);
+        return [];
+      }));
+  }
+  return workbookSheetNames.get(file);
+}
+
+function parseDeezerDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'string') {
+    const parsed = new Date(value);
+    if (!isNaN(parsed.getTime())) return parsed;
+  }
+  return value ?? null;
+}
+
+// One listening history row, from the workbook or the CSV
+function mapDeezerRow(row, report) {
+  // Extract required fields, handling potential missing fields
+  const trackName = row['Song Title'] ? String(row['Song Title']) : '';
+  const artistName = row['Artist'] ? String(row['Artist']) : 'Unknown Artist';
+  const albumName = row['Album Title'] ? String(row['Album Title']) : 'Unknown Album';
+  const isrc = row['ISRC'] ? String(row['ISRC']).trim() : null;
+  
+  // Parse listening time (in seconds) 
+  let playDuration = 0;
+  const durationDefaulted = !(row['Listening Time'] && !isNaN(row['Listening Time']));
+  if (!durationDefaulted) {
+    // Convert seconds to milliseconds
+    playDuration = parseInt(row['Listening Time']) * 1000;
+  } else {
+    // Default to 3.5 minutes if no valid duration
+    playDuration = 210000;
+    recordDefaulted(report, 'Missing Listening Time, assumed 3.5 minutes', row);
+  }
+  
+  // Missing or unreadable dates are flagged for review after parsing
+  const timestamp = parseDeezerDate(row['Date']);
+  
+  // Get platform info
+  const platform = String(row['Platform Name'] || 'deezer');
+  const platformModel = row['Platform Model'] ? String(row['Platform Model']) : '';
+  
+  // Create the standardized entry
+  return markEstimated({
+    master_metadata_track_name: trackName,
+    ts: timestamp,
+    ms_played: playDuration,
+    master_metadata_album_artist_name: artistName,
+    master_metadata_album_album_name: albumName,
+    isrc: isrc, // Store ISRC for better track matching
+    platform: `DEEZER-${platform.toUpperCase()}${platformModel ? '-' + platformModel.toUpperCase() : ''}`,
+    source: 'deezer'
+  }, { duration: durationDefaulted });
+}
+
+// Column names vary a little between the library sheets
+const DEEZER_LIBRARY_COLUMNS = {
+  trackName: ['Song Title', 'Track Title', 'Title'],
+  artist: ['Artist', 'Artist Name'],
+  album: ['Album Title', 'Album'],
+  isrc: ['ISRC'],
+  addedAt: ['Date', 'Date Added', 'Added'],
+  playlistName: ['Playlist Name', 'Playlist Title', 'Playlist', 'Name', 'Title'],
+  trackCount: ['Number of Songs', 'Number of Tracks', 'Nb Tracks', 'Songs', 'Tracks']
+};
+
+function mapDeezerLibrarySheet(kind, rows, library) {
+  const fields = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const column = (key, candidates = DEEZER_LIBRARY_COLUMNS[key]) => findColumn(fields, candidates);
+  const text = (row, key) => (key && row[key] !== undefined && row[key] !== null ? String(row[key]) : null);
+  const columns = {
+    trackName: column('trackName'),
+    artist: column('artist'),
+    album: column('album'),
+    isrc: column('isrc'),
+    addedAt: column('addedAt')
+  };
+
+  if (kind === 'playlists') {
+    const nameColumn = column('playlistName');
+    // Playlist sheets either list the playlists, or every track of every playlist
+    const trackColumn = column('trackName', ['Song Title', 'Track Title']);
+    const countColumn = column('trackCount');
+    if (!nameColumn) return;
+    const playlists = {};
+    rows.forEach(row => {
+      const name = text(row, nameColumn);
+      if (!name) return;
+      if (!playlists[name]) {
+        playlists[name] = { name, trackCount: Number(row[countColumn]) || 0, tracks: [], source: 'deezer' };
+      }
+      if (trackColumn && row[trackColumn]) {
+        playlists[name].tracks.push({ trackName: text(row, trackColumn), artist: text(row, columns.artist) });
+        playlists[name].trackCount = Math.max(playlists[name].trackCount, playlists[name].tracks.length);
+      }
+    });
+    library.playlists.push(...Object.values(playlists));
+    return;
+  }
+
+  rows.forEach(row => {
+    const addedAt = columns.addedAt ? parseDeezerDate(row[columns.addedAt]) : null;
+    const item = {
+      artist: text(row, columns.artist),
+      addedAt: addedAt instanceof Date ? addedAt : null,
+      source: 'deezer'
+    };
+    if (kind === 'favouriteTracks' && text(row, columns.trackName)) {
+      library.favouriteTracks.push({
+        ...item,
+        trackName: text(row, columns.trackName),
+        album: text(row, columns.album),
+        isrc: text(row, columns.isrc)
+      });
+    } else if (kind === 'favouriteAlbums' && text(row, columns.album)) {
+      library.favouriteAlbums.push({ ...item, album: text(row, columns.album) });
+    } else if (kind === 'favouriteArtists' && item.artist) {
+      library.favouriteArtists.push(item);
+    }
+  });
+}
+
+// Process Deezer XLSX file: plays from the listening history sheet, and the
+// favourites and playlists sheets as library data
+async function processDeezerXLSX(file, report = null) {
   try {
     // For XLSX files, we need to get the content as ArrayBuffer
     const buffer = await file.arrayBuffer();
@@ -621,163 +1057,869 @@ async function processDeezerXLSX(file) {
       cellNF: true
     });
     
-    // Find the listening history sheet
-    const historySheetName = "10_listeningHistory";
-    if (!workbook.SheetNames.includes(historySheetName)) {
-      console.error('Listening history sheet not found in Deezer file');
-      return [];
-    }
-    
-    const historySheet = workbook.Sheets[historySheetName];
-    const data = XLSX.utils.sheet_to_json(historySheet);
-    
-    console.log(`Processing ${data.length} Deezer history entries`);
-    
-    // Transform Deezer data to common format
-    const transformedData = data.map(row => {
-      // Extract required fields, handling potential missing fields
-      const trackName = row['Song Title'] || '';
-      const artistName = row['Artist'] || 'Unknown Artist';
-      const albumName = row['Album Title'] || 'Unknown Album';
-      const isrc = row['ISRC'] || null;
-      
-      // Parse listening time (in seconds) 
-      let playDuration = 0;
-      if (row['Listening Time'] && !isNaN(row['Listening Time'])) {
-        // Convert seconds to milliseconds
-        playDuration = parseInt(row['Listening Time']) * 1000;
+    const library = createLibrary();
+    let entries = [];
+    let historyFound = false;
+    workbook.SheetNames.forEach(sheetName => {
+      const kind = getDeezerSheetKind(sheetName);
+      if (!kind) return;
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
+      if (kind === 'history') {
+        historyFound = true;
+        if (report && rows.length > 0) report.headers = Object.keys(rows[0]);
+        entries = entries.concat(rows.map(row => mapDeezerRow(row, report)));
       } else {
-        // Default to 3.5 minutes if no valid duration
-        playDuration = 210000;
-      }
-      
-      // Parse date
-      let timestamp;
-      try {
-        // If it's already a Date object, use it
-        if (row['Date'] instanceof Date) {
-          timestamp = row['Date'];
-        } else if (typeof row['Date'] === 'string') {
-          // Parse the date string
-          timestamp = new Date(row['Date']);
-        } else {
-          // Fallback to current time
-          timestamp = new Date();
-        }
-      } catch (e) {
-        console.warn('Error parsing Deezer timestamp:', e);
-        timestamp = new Date();
+        mapDeezerLibrarySheet(kind, rows, library);
       }
-      
-      // Get platform info
-      const platform = row['Platform Name'] || 'deezer';
-      const platformModel = row['Platform Model'] || '';
-      
-      // Create the standardized entry
-      return {
-        master_metadata_track_name: trackName,
-        ts: timestamp,
-        ms_played: playDuration,
-        master_metadata_album_artist_name: artistName,
-        master_metadata_album_album_name: albumName,
-        isrc: isrc, // Store ISRC for better track matching
-        platform: `DEEZER-${platform.toUpperCase()}${platformModel ? '-' + platformModel.toUpperCase() : ''}`,
-        source: 'deezer'
-      };
     });
     
-    console.log(`Transformed ${transformedData.length} Deezer entries`);
-    return transformedData;
+    if (!historyFound) {
+      console.error('Listening history sheet not found in Deezer file');
+      if (report) report.error = `No listening history sheet found (sheets: ${workbook.SheetNames.join(', ')})`;
+    }
+    
+    return { entries, library };
   } catch (error) {
     console.error('Error processing Deezer XLSX file:', error);
-    return [];
+    if (report) report.error = `Could not read workbook: ${error.message}`;
+    return { entries: [], library: null };
   }
 }
 
-function calculatePlayStats(entries) {
-  const allSongs = [];
-  const artistStats = {};
-  const albumStats = {};
-  const songPlayHistory = {};
-  const serviceListeningTime = {};
-  let totalListeningTime = 0;
-  let processedSongs = 0;
-  let shortPlays = 0;
-
-  // Simple track map for combining same tracks
-  const trackMap = {};
-  
-  // Track album information by track/artist combination
-  const albumLookup = {};
-  
-  // Track feature artists by track/artist combination
-  const featureArtistLookup = {};
-  
-  // Add ISRC tracking
-  const isrcMap = {};
-  
-  // First pass to collect album info and ISRCs
-  entries.forEach(entry => {
-    if (entry.master_metadata_track_name && 
-        entry.master_metadata_album_artist_name) {
-      
-      // Create a simple lookup key based on track name and artist
-      const trackInfo = normalizeString(entry.master_metadata_track_name);
-      const artistInfo = normalizeString(entry.master_metadata_album_artist_name);
-      
-      const lookupKey = `${trackInfo.normalized}|||${artistInfo.normalized}`;
-      
-      // Store feature artists in the lookup
-      if (trackInfo.featureArtists && trackInfo.featureArtists.length > 0) {
-        featureArtistLookup[lookupKey] = trackInfo.featureArtists;
+// Process a Deezer listening history saved as CSV, with the workbook's columns
+async function processDeezerCSV(content, report = null) {
+  return new Promise((resolve) => {
+    Papa.parse(content, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      delimitersToGuess: [',', '\t', '|', ';'],
+      complete: (results) => {
+        if (report) report.headers = results.meta.fields || [];
+        resolve(results.data
+          .filter(row => {
+            if (row['Song Title']) return true;
+            recordRejected(report, 'Missing Song Title', row);
+            return false;
+          })
+          .map(row => mapDeezerRow(row, report)));
+      },
+      error: (error) => {
+        console.error('Error parsing Deezer CSV:', error);
+        if (report) report.error = `Could not parse CSV: ${error.message}`;
+        resolve([]);
       }
-      
-      // Track ISRC codes when available
-      if (entry.master_metadata_external_ids && entry.master_metadata_external_ids.isrc) {
-        const isrc = entry.master_metadata_external_ids.isrc;
-        isrcMap[isrc] = lookupKey;
+    });
+  });
+}
+
+// Offsets (in hours) for the timezone abbreviations Google writes into Takeout HTML dates
+const TAKEOUT_TIMEZONE_OFFSETS = {
+  UTC: 0, GMT: 0, WET: 0, WEST: 1, BST: 1, IST: 1,
+  CET: 1, CEST: 2, EET: 2, EEST: 3, MSK: 3,
+  EST: -5, EDT: -4, CST: -6, CDT: -5, MST: -7, MDT: -6,
+  PST: -8, PDT: -7, AKST: -9, AKDT: -8, HST: -10,
+  JST: 9, KST: 9, AEST: 10, AEDT: 11, NZST: 12, NZDT: 13
+};
+
+// Play gaps longer than this are treated as "stopped listening" rather than a track length
+const YOUTUBE_MAX_INFERRED_DURATION = 10 * 60 * 1000;
+
+function decodeHtmlEntities(str) {
+  return str
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
+}
+
+// Parse Takeout HTML dates like "Feb 3, 2023, 9:15:22 PM CET"
+function parseTakeoutDate(dateString) {
+  const cleaned = dateString.replace(/[\u00a0\u202f]/g, ' ').trim();
+  const match = cleaned.match(/^(.*?\d{1,2}:\d{2}(?::\d{2})?\s*(?:AM|PM)?)\s+([A-Z]{2,5})$/i);
+
+  if (match && TAKEOUT_TIMEZONE_OFFSETS[match[2].toUpperCase()] !== undefined) {
+    // Parse the wall-clock part as UTC, then shift by the zone offset
+    const wallClock = new Date(`${match[1]} UTC`);
+    if (!isNaN(wallClock.getTime())) {
+      const offsetHours = TAKEOUT_TIMEZONE_OFFSETS[match[2].toUpperCase()];
+      return new Date(wallClock.getTime() - offsetHours * 60 * 60 * 1000);
+    }
+  }
+
+  // Unknown zone abbreviation - fall back to the browser's interpretation
+  return new Date(match ? match[1] : cleaned);
+}
+
+// Split a YouTube channel/title pair into artist and track name
+function splitYouTubeArtist(title, channelName) {
+  const channel = (channelName || '').trim();
+
+  // Auto-generated music channels are named "Artist - Topic"
+  if (channel.endsWith(' - Topic')) {
+    return {
+      artist: channel.slice(0, -' - Topic'.length).trim(),
+      trackName: title
+    };
+  }
+
+  // Official/uploader channels usually title videos "Artist - Track"
+  const dashIndex = title.indexOf(' - ');
+  if (dashIndex > 0) {
+    return {
+      artist: title.substring(0, dashIndex).trim(),
+      trackName: title.substring(dashIndex + 3).trim()
+    };
+  }
+
+  return {
+    artist: channel.replace(/VEVO$/, '').trim() || 'Unknown Artist',
+    trackName: title
+  };
+}
+
+// Turn raw Takeout watch records into normalized play entries
+function transformYouTubeMusicRecords(records, report = null) {
+  // Takeout lists newest first; sort by start time so we can look at the next play
+  const sorted = records
+    .filter(record => {
+      if (!record.title) {
+        recordRejected(report, 'Missing title', record);
+        return false;
       }
-      
-      // Also check for standalone ISRC field (from Deezer)
-      if (entry.isrc) {
-        isrcMap[entry.isrc] = lookupKey;
+      if (isNaN(record.startTime.getTime())) {
+        recordRejected(report, 'Unreadable watch time', record);
+        return false;
       }
-      
-      // Prioritize Spotify album info over other sources
-      if (entry.source === 'spotify' && entry.master_metadata_album_album_name) {
-        albumLookup[lookupKey] = entry.master_metadata_album_album_name;
-      } 
-      // If no album info for this track yet, use whatever we have
-      else if (!albumLookup[lookupKey] && entry.master_metadata_album_album_name) {
-        albumLookup[lookupKey] = entry.master_metadata_album_album_name;
+      return true;
+    })
+    .sort((a, b) => a.startTime - b.startTime);
+
+  return sorted.map((record, index) => {
+    const { artist, trackName } = splitYouTubeArtist(record.title, record.channelName);
+
+    // Takeout has no play duration, so use the gap until the next play when it
+    // looks like a track length, otherwise fall back to the 3.5 minute default
+    let msPlayed = 210000;
+    const next = sorted[index + 1];
+    if (next) {
+      const gap = next.startTime.getTime() - record.startTime.getTime();
+      if (gap > 0 && gap <= YOUTUBE_MAX_INFERRED_DURATION) {
+        msPlayed = gap;
       }
     }
+    recordDefaulted(report, msPlayed === 210000
+      ? 'No play duration in Takeout, assumed 3.5 minutes'
+      : 'No play duration in Takeout, used the time until the next play', record);
+
+    // Takeout records when a play started, so the end time depends on the guessed duration too
+    return markEstimated({
+      // Like Spotify's export, ts marks the end of the play
+      ts: new Date(record.startTime.getTime() + msPlayed),
+      ms_played: msPlayed,
+      master_metadata_track_name: trackName,
+      master_metadata_album_artist_name: artist,
+      master_metadata_album_album_name: 'Unknown Album',
+      reason_start: 'trackdone',
+      reason_end: 'trackdone',
+      shuffle: false,
+      skipped: false,
+      platform: 'YOUTUBE_MUSIC',
+      source: 'youtube_music',
+      url: record.url
+    }, { duration: true });
   });
-  
-  // Second pass to process entries with consolidated information
-  entries.forEach(entry => {
-    const playTime = entry.ms_played;
-    
-    // Skip invalid entries
-    if (!entry.master_metadata_track_name || playTime < 30000) {
-      if (playTime < 30000) shortPlays++;
-      return;
+}
+
+// Process YouTube Music entries from Takeout watch-history.json
+function processYouTubeMusicJSON(content, report = null) {
+  try {
+    const data = JSON.parse(content);
+    if (!Array.isArray(data)) {
+      console.error('YouTube watch history is not an array');
+      if (report) report.error = 'Watch history is not a JSON array';
+      return [];
     }
 
-    processedSongs++;
-    totalListeningTime += playTime;
+    // The watch history mixes regular YouTube and YouTube Music; keep only music
+    const records = data
+      .filter(item => item.header === 'YouTube Music')
+      .map(item => ({
+        title: (item.title || '').replace(/^Watched\s+/, '').trim(),
+        channelName: item.subtitles && item.subtitles[0] ? item.subtitles[0].name : '',
+        startTime: new Date(item.time),
+        url: item.titleUrl
+      }));
 
-    const service = entry.source || 'unknown';
-    if (!serviceListeningTime[service]) {
-      serviceListeningTime[service] = 0;
+    const nonMusicItems = data.length - records.length;
+    if (nonMusicItems > 0) {
+      recordIssue(report, 'note', `${nonMusicItems} regular YouTube items ignored (not YouTube Music)`, null);
     }
-    serviceListeningTime[service] += playTime;
 
-    const trackName = entry.master_metadata_track_name;
-    const artistName = entry.master_metadata_album_artist_name || 'Unknown Artist';
-    
-    // Get normalized versions for lookups
-    const { normalized: normTrack } = normalizeString(trackName);
+    return transformYouTubeMusicRecords(records, report);
+  } catch (error) {
+    console.error('Error parsing YouTube Music JSON:', error);
+    if (report) report.error = `Could not parse JSON: ${error.message}`;
+    return [];
+  }
+}
+
+// Process YouTube Music entries from Takeout watch-history.html
+function processYouTubeMusicHTML(content, report = null) {
+  const records = [];
+  const cells = content.split(/<div class="outer-cell/).slice(1);
+
+  cells.forEach(cell => {
+    const headerMatch = cell.match(/<p class="mdl-typography--title">\s*(.*?)\s*<br/);
+    if (!headerMatch || decodeHtmlEntities(headerMatch[1]).trim() !== 'YouTube Music') return;
+
+    const contentMatch = cell.match(/<div class="content-cell[^"]*mdl-typography--body-1">([\s\S]*?)<\/div>/);
+    if (!contentMatch) return;
+
+    // Content looks like: Watched <a href="url">Title</a><br><a href="channel">Channel</a><br>Date<br>
+    const parts = contentMatch[1].split(/<br\s*\/?>/);
+    const titleLink = (parts[0] || '').match(/<a href="([^"]*)">([\s\S]*?)<\/a>/);
+    if (!titleLink) return;
+
+    const channelLink = (parts[1] || '').match(/<a href="[^"]*">([\s\S]*?)<\/a>/);
+    const dateText = decodeHtmlEntities((parts[channelLink ? 2 : 1] || '').replace(/<[^>]+>/g, ''));
+
+    records.push({
+      title: decodeHtmlEntities(titleLink[2]).trim(),
+      channelName: channelLink ? decodeHtmlEntities(channelLink[1]).trim() : '',
+      startTime: parseTakeoutDate(dateText),
+      url: decodeHtmlEntities(titleLink[1])
+    });
+  });
+
+  return transformYouTubeMusicRecords(records, report);
+}
+
+// Spotify "Account data" files: StreamingHistory0.json, StreamingHistory_music_0.json, StreamingHistory_podcast_0.json
+function isSpotifyAccountDataFile(fileName) {
+  return /^StreamingHistory(_music|_podcast)?_?\d*\.json$/i.test(fileName);
+}
+
+// Map a basic Spotify "Account data" entry to the extended streaming history schema
+function mapAccountDataEntry(entry) {
+  // endTime is "YYYY-MM-DD HH:mm" in UTC
+  const ts = entry.endTime ? new Date(`${entry.endTime.replace(' ', 'T')}:00Z`) : null;
+
+  return {
+    ts: ts && !isNaN(ts.getTime()) ? ts.toISOString() : entry.endTime,
+    ms_played: entry.msPlayed || 0,
+    master_metadata_track_name: entry.trackName || null,
+    master_metadata_album_artist_name: entry.artistName || null,
+    master_metadata_album_album_name: null,
+    spotify_track_uri: null,
+    episode_name: entry.episodeName || null,
+    episode_show_name: entry.podcastName || null,
+    // Not part of the basic export - null rather than false so analyses can tell
+    platform: null,
+    conn_country: null,
+    reason_start: null,
+    reason_end: null,
+    shuffle: null,
+    skipped: null,
+    offline: null,
+    incognito_mode: null,
+    source: 'spotify',
+    export_format: 'account_data'
+  };
+}
+
+// Column names seen in the different versions of Tidal's GDPR export
+const TIDAL_COLUMNS = {
+  timestamp: ['entry_date', 'timestamp', 'played_at', 'stream_start', 'Date', 'Timestamp'],
+  trackName: ['track_title', 'title', 'Track Title', 'Track'],
+  artistName: ['artist_name', 'artist', 'Artist Name', 'Artist'],
+  albumName: ['album_title', 'album_name', 'album', 'Album Title', 'Album'],
+  isrc: ['isrc', 'ISRC'],
+  durationMs: ['stream_duration_ms', 'duration_ms', 'playback_duration_ms'],
+  durationSeconds: ['stream_duration', 'playback_duration', 'duration', 'Duration'],
+  platform: ['client_name', 'device_type', 'platform', 'Device']
+};
+
+// Timestamp columns that hold when the play started rather than ended
+const TIDAL_START_COLUMNS = ['stream_start'];
+
+// The first of the candidate column names the file has, or null
+function findColumn(fields, candidates) {
+  return candidates.find(candidate => fields.includes(candidate)) || null;
+}
+
+function isTidalHeader(fields) {
+  if (!fields) return false;
+  // SoundCloud also uses track_title, but never together with an artist column
+  return Boolean(
+    findColumn(fields, TIDAL_COLUMNS.trackName) &&
+    findColumn(fields, TIDAL_COLUMNS.artistName) &&
+    findColumn(fields, TIDAL_COLUMNS.timestamp) &&
+    !fields.includes('play_time')
+  );
+}
+
+// Process Tidal streaming history CSV from the GDPR export
+async function processTidalCSV(content, report = null) {
+  return new Promise((resolve) => {
+    Papa.parse(content, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      delimitersToGuess: [',', '\t', '|', ';'],
+      complete: (results) => {
+        const fields = results.meta.fields || [];
+        if (report) report.headers = fields;
+
+        const columns = {};
+        Object.entries(TIDAL_COLUMNS).forEach(([key, candidates]) => {
+          columns[key] = findColumn(fields, candidates);
+        });
+
+        if (!columns.trackName || !columns.timestamp) {
+          console.error('Tidal CSV is missing track or timestamp columns');
+          if (report) report.error = 'Missing track or timestamp columns';
+          resolve([]);
+          return;
+        }
+
+        const transformedData = results.data
+          .filter(row => {
+            if (row[columns.trackName] && row[columns.timestamp]) return true;
+            recordRejected(report, `Missing ${columns.trackName} or ${columns.timestamp}`, row);
+            return false;
+          })
+          .map(row => {
+            const timestampValue = row[columns.timestamp];
+            // Some exports use epoch seconds, others ISO strings
+            const timestamp = typeof timestampValue === 'number' && timestampValue < 1e12
+              ? new Date(timestampValue * 1000)
+              : new Date(timestampValue);
+
+            let playDuration;
+            let durationDefaulted = false;
+            if (columns.durationMs && row[columns.durationMs] !== null && row[columns.durationMs] !== undefined) {
+              playDuration = Number(row[columns.durationMs]) || 0;
+            } else if (columns.durationSeconds && row[columns.durationSeconds] !== null && row[columns.durationSeconds] !== undefined) {
+              // Always seconds, however short; parseListeningTime would read small values as minutes
+              playDuration = (Number(row[columns.durationSeconds]) || 0) * 1000;
+            } else {
+              playDuration = 210000; // Default to 3.5 min
+              durationDefaulted = true;
+              recordDefaulted(report, columns.durationMs || columns.durationSeconds
+                ? 'Empty duration, assumed 3.5 minutes'
+                : 'No duration column, assumed 3.5 minutes', row);
+            }
+
+            // ts is when the play ended, as in every other export
+            const endTime = TIDAL_START_COLUMNS.includes(columns.timestamp) && !isNaN(timestamp.getTime())
+              ? new Date(timestamp.getTime() + playDuration)
+              : timestamp;
+
+            const isrc = columns.isrc && row[columns.isrc] ? String(row[columns.isrc]).trim() : null;
+            const platform = columns.platform && row[columns.platform]
+              ? `TIDAL-${String(row[columns.platform]).toUpperCase()}`
+              : 'TIDAL';
+
+            const result = {
+              master_metadata_track_name: String(row[columns.trackName]),
+              ts: endTime,
+              ms_played: playDuration,
+              master_metadata_album_artist_name: columns.artistName && row[columns.artistName]
+                ? String(row[columns.artistName])
+                : 'Unknown Artist',
+              master_metadata_album_album_name: columns.albumName && row[columns.albumName]
+                ? String(row[columns.albumName])
+                : 'Unknown Album',
+              platform,
+              source: 'tidal'
+            };
+
+            // Pass ISRC through the same field Spotify uses so tracks match across services
+            if (isrc) {
+              result.master_metadata_external_ids = { isrc };
+            }
+
+            return markEstimated(result, { duration: durationDefaulted });
+          });
+
+        resolve(transformedData);
+      },
+      error: (error) => {
+        console.error('Error parsing Tidal CSV:', error);
+        if (report) report.error = `Could not parse CSV: ${error.message}`;
+        resolve([]);
+      }
+    });
+  });
+}
+
+// Last.fm has no export of its own; the scrobble-export tools write either
+//   - CSV with a header (uts, utc_time, artist, artist_mbid, album, album_mbid, track, track_mbid)
+//   - headerless CSV of artist, album, track, date ("31 Jan 2020 14:03", UTC)
+//   - JSON pages of the API's recent tracks ({ recenttracks: { track: [...] } }),
+//     or one array of those tracks
+// A scrobble is stamped with when the track started and has no duration
+const LASTFM_COLUMNS = {
+  timestamp: ['uts', 'timestamp', 'utc_time', 'date', 'played_at', 'time'],
+  artist: ['artist', 'artist_name'],
+  album: ['album', 'album_name'],
+  track: ['track', 'track_name', 'title', 'name']
+};
+
+// Assumed until reconcileScrobbles finds a Spotify play of the track
+const SCROBBLE_DEFAULT_DURATION = 210000;
+
+const LASTFM_DATE_PATTERN = /^(\d{1,2}) (\w{3}) (\d{4}),? (\d{1,2}):(\d{2})$/;
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Unix seconds, "31 Jan 2020 14:03" in UTC, or anything Date understands
+function parseLastfmDate(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+    const number = Number(value);
+    return new Date(number < 1e12 ? number * 1000 : number);
+  }
+  const match = String(value).trim().match(LASTFM_DATE_PATTERN);
+  if (match) {
+    const month = MONTH_ABBREVIATIONS.indexOf(match[2].toLowerCase());
+    if (month !== -1) {
+      return new Date(Date.UTC(Number(match[3]), month, Number(match[1]), Number(match[4]), Number(match[5])));
+    }
+  }
+  return new Date(value);
+}
+
+function isHeaderlessLastfmRow(fields) {
+  return fields.length === 4 && LASTFM_DATE_PATTERN.test(String(fields[3]).trim());
+}
+
+function mapScrobble({ artist, album, track, time }, report, row) {
+  if (!track || !artist || time === null || time === undefined || time === '') {
+    recordRejected(report, 'Missing artist, track or date', row);
+    return null;
+  }
+
+  const scrobbledAt = parseLastfmDate(time);
+  const isValid = !isNaN(scrobbledAt.getTime());
+  recordDefaulted(report, 'Scrobbles have no duration, assumed 3.5 minutes unless Spotify has a play of the track', row);
+
+  return markEstimated({
+    // ts is when the play ended, like everywhere else
+    ts: isValid ? new Date(scrobbledAt.getTime() + SCROBBLE_DEFAULT_DURATION).toISOString() : time,
+    scrobbled_at: isValid ? scrobbledAt.toISOString() : null,
+    ms_played: SCROBBLE_DEFAULT_DURATION,
+    master_metadata_track_name: track,
+    master_metadata_album_artist_name: artist,
+    master_metadata_album_album_name: album || 'Unknown Album',
+    platform: 'LASTFM',
+    source: 'lastfm'
+  }, { duration: true });
+}
+
+async function processLastfmCSV(content, report = null) {
+  return new Promise((resolve) => {
+    Papa.parse(content, {
+      header: false,
+      skipEmptyLines: true,
+      delimitersToGuess: [',', '\t', '|', ';'],
+      complete: (results) => {
+        const rows = results.data;
+        if (rows.length === 0) {
+          resolve([]);
+          return;
+        }
+
+        const firstRow = rows[0].map(field => String(field).trim().toLowerCase());
+        const hasHeader = firstRow.includes('artist') && Boolean(findColumn(firstRow, LASTFM_COLUMNS.track));
+        const headers = hasHeader ? firstRow : ['artist', 'album', 'track', 'date'];
+        if (report) report.headers = headers;
+
+        const columns = {};
+        Object.entries(LASTFM_COLUMNS).forEach(([key, candidates]) => {
+          columns[key] = headers.indexOf(findColumn(headers, candidates));
+        });
+
+        if (columns.artist === -1 || columns.track === -1 || columns.timestamp === -1) {
+          console.error('Last.fm CSV is missing artist, track or date columns');
+          if (report) report.error = 'Missing artist, track or date columns';
+          resolve([]);
+          return;
+        }
+
+        const cell = (fields, index) => (index === -1 || fields[index] === undefined ? '' : String(fields[index]).trim());
+        const scrobbles = (hasHeader ? rows.slice(1) : rows)
+          .map(fields => {
+            const row = Object.fromEntries(headers.map((header, index) => [header, fields[index]]));
+            return mapScrobble({
+              artist: cell(fields, columns.artist),
+              album: cell(fields, columns.album),
+              track: cell(fields, columns.track),
+              time: cell(fields, columns.timestamp)
+            }, report, row);
+          })
+          .filter(Boolean);
+
+        resolve(scrobbles);
+      },
+      error: (error) => {
+        console.error('Error parsing Last.fm CSV:', error);
+        if (report) report.error = `Could not parse CSV: ${error.message}`;
+        resolve([]);
+      }
+    });
+  });
+}
+
+// The API nests names as { '#text': ... } or, in extended mode, { name: ... }
+function lastfmText(value) {
+  if (value && typeof value === 'object') return String(value['#text'] || value.name || '').trim();
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+function processLastfmJSON(content, report = null) {
+  try {
+    const data = JSON.parse(content);
+    const pages = Array.isArray(data) ? data : [data];
+    const tracks = pages.flatMap(page => {
+      if (page?.recenttracks?.track) return [].concat(page.recenttracks.track);
+      if (Array.isArray(page?.track)) return page.track;
+      return [page];
+    });
+    if (report && tracks.length > 0) report.headers = Object.keys(tracks[0]);
+
+    return tracks
+      .map(track => {
+        // The track playing while the export ran is listed without a date
+        if (track?.['@attr']?.nowplaying) {
+          recordRejected(report, 'Now playing, not yet scrobbled', track);
+          return null;
+        }
+        return mapScrobble({
+          artist: lastfmText(track?.artist),
+          album: lastfmText(track?.album),
+          track: lastfmText(track?.name ?? track?.track),
+          time: track?.date?.uts ?? track?.uts ?? track?.timestamp ?? lastfmText(track?.date)
+        }, report, track);
+      })
+      .filter(Boolean);
+  } catch (error) {
+    console.error('Error parsing Last.fm JSON:', error);
+    if (report) report.error = `Could not parse JSON: ${error.message}`;
+    return [];
+  }
+}
+
+// ListenBrainz exports listens as JSON lines (one file per month in newer
+// exports, a single JSON array in older ones). Each listen is
+// { listened_at, track_metadata: { artist_name, track_name, release_name, additional_info } },
+// with MBIDs, ISRC, Spotify id and duration in additional_info when the
+// submitting player sent them. The import JSON written by listenbrainz-exporter.js
+// ({ listen_type, payload }) reads back in the same way
+function readListenBrainzListens(content, report) {
+  const trimmed = content.replace(/^\uFEFF/, '').trim();
+  let records = [];
+  if (trimmed.startsWith('[')) {
+    records = JSON.parse(trimmed);
+  } else {
+    trimmed.split(/\r?\n/).forEach(line => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        recordRejected(report, 'Line is not valid JSON', line);
+      }
+    });
+  }
+  return records.flatMap(record => (Array.isArray(record?.payload) ? record.payload : [record]));
+}
+
+function mapListenBrainzListen(listen, report) {
+  const metadata = listen?.track_metadata || {};
+  const info = metadata.additional_info || {};
+  const mapping = metadata.mbid_mapping || {};
+  if (!metadata.track_name || !metadata.artist_name || listen.listened_at === null || listen.listened_at === undefined) {
+    recordRejected(report, 'Missing listened_at, track_name or artist_name', listen);
+    return null;
+  }
+
+  // listened_at is when the track started, in Unix seconds
+  const listenedAt = typeof listen.listened_at === 'number'
+    ? new Date(listen.listened_at * 1000)
+    : parseLastfmDate(listen.listened_at);
+  const isValid = !isNaN(listenedAt.getTime());
+
+  let duration = Number(info.duration_ms) || Number(info.duration) * 1000 || 0;
+  const durationDefaulted = !duration;
+  if (durationDefaulted) {
+    duration = SCROBBLE_DEFAULT_DURATION;
+    recordDefaulted(report, 'No duration, assumed 3.5 minutes unless Spotify has a play of the track', listen);
+  }
+
+  const spotifyId = info.spotify_id ? String(info.spotify_id).match(/track[/:]([A-Za-z0-9]+)/) : null;
+  const musicbrainz = {
+    recording_mbid: info.recording_mbid || mapping.recording_mbid || null,
+    release_mbid: info.release_mbid || mapping.release_mbid || null,
+    artist_mbids: info.artist_mbids || mapping.artist_mbids || null
+  };
+
+  const entry = {
+    ts: isValid ? new Date(listenedAt.getTime() + duration).toISOString() : listen.listened_at,
+    scrobbled_at: isValid ? listenedAt.toISOString() : null,
+    ms_played: duration,
+    master_metadata_track_name: String(metadata.track_name),
+    master_metadata_album_artist_name: String(metadata.artist_name),
+    master_metadata_album_album_name: metadata.release_name ? String(metadata.release_name) : 'Unknown Album',
+    spotify_track_uri: spotifyId ? `spotify:track:${spotifyId[1]}` : null,
+    platform: 'LISTENBRAINZ',
+    source: 'listenbrainz'
+  };
+  if (info.isrc) {
+    entry.master_metadata_external_ids = { isrc: String(info.isrc) };
+  }
+  if (Object.values(musicbrainz).some(Boolean)) {
+    entry.musicbrainz = musicbrainz;
+  }
+
+  return markEstimated(entry, { duration: durationDefaulted });
+}
+
+function processListenBrainzJSON(content, report = null) {
+  try {
+    const listens = readListenBrainzListens(content, report);
+    if (report && listens.length > 0) report.headers = Object.keys(listens[0]);
+    return listens.map(listen => mapListenBrainzListen(listen, report)).filter(Boolean);
+  } catch (error) {
+    console.error('Error parsing ListenBrainz listens:', error);
+    if (report) report.error = `Could not parse JSON: ${error.message}`;
+    return [];
+  }
+}
+
+// Files read through a saved column mapping (see column-mapping.js)
+const workbookHeaders = new WeakMap();
+
+// The first sheet's column names, read without loading the whole workbook
+function readWorkbookHeader(file) {
+  if (!workbookHeaders.has(file)) {
+    workbookHeaders.set(file, file.arrayBuffer()
+      .then(buffer => {
+        const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array', sheetRows: 1 });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        return sheet ? (XLSX.utils.sheet_to_json(sheet, { header: 1 })[0] || []).map(String) : [];
+      })
+      .catch(error => {
+        console.warn(`Could not read the columns of ${file.name}:`, error);
+        return [];
+      }));
+  }
+  return workbookHeaders.get(file);
+}
+
+// Any CSV, TSV or workbook (its first sheet) as { fields, rows }, one object
+// per row. previewRows stops reading after that many rows
+export async function readTable(file, { previewRows = 0 } = {}) {
+  if (getExtension(file.name) === '.xlsx') {
+    const workbook = XLSX.read(new Uint8Array(await file.arrayBuffer()), {
+      type: 'array',
+      cellDates: true,
+      ...(previewRows > 0 ? { sheetRows: previewRows + 1 } : {})
+    });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: null }) : [];
+    return { fields: rows.length > 0 ? Object.keys(rows[0]) : [], rows };
+  }
+
+  const content = (await file.text()).replace(/^\uFEFF/, '');
+  return new Promise((resolve, reject) => {
+    Papa.parse(content, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      preview: previewRows,
+      delimitersToGuess: [',', '\t', '|', ';'],
+      complete: (results) => resolve({ fields: results.meta.fields || [], rows: results.data }),
+      error: reject
+    });
+  });
+}
+
+// Dates from workbooks, Unix seconds or milliseconds, or anything Date understands
+function parseMappedTimestamp(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const number = Number(value);
+    return new Date(number < 1e12 ? number * 1000 : number);
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function parseMappedDuration(value, unit) {
+  if (unit === 'clock') return parseListeningTime(value);
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) return null;
+  return unit === 'seconds' ? number * 1000 : number;
+}
+
+// Rows of a table as entries, by a column mapping profile
+export function mapProfileRows(rows, profile, report = null) {
+  const { columns } = profile;
+  const cell = (row, field) => {
+    const value = columns[field] ? row[columns[field]] : null;
+    return value === undefined || value === '' ? null : value;
+  };
+
+  return rows
+    .filter(row => {
+      const missing = ['timestamp', 'artist', 'track'].filter(field => cell(row, field) === null);
+      if (missing.length === 0) return true;
+      recordRejected(report, `Missing ${missing.map(field => columns[field]).join(', ')}`, row);
+      return false;
+    })
+    .map(row => {
+      let playDuration = cell(row, 'duration') === null ? null : parseMappedDuration(cell(row, 'duration'), profile.durationUnit);
+      const durationDefaulted = playDuration === null;
+      if (durationDefaulted) {
+        playDuration = 210000; // Default to 3.5 min
+        recordDefaulted(report, columns.duration
+          ? `Missing or unreadable ${columns.duration}, assumed 3.5 minutes`
+          : 'No duration column, assumed 3.5 minutes', row);
+      }
+
+      // Unreadable dates are kept as found and flagged for review; a start
+      // time becomes the end time by adding the play's duration
+      const time = parseMappedTimestamp(cell(row, 'timestamp'));
+      let timestamp = cell(row, 'timestamp');
+      if (time) {
+        timestamp = profile.timestampIs === 'start' ? new Date(time.getTime() + playDuration) : time;
+      }
+
+      const result = {
+        master_metadata_track_name: String(cell(row, 'track')),
+        ts: timestamp,
+        ms_played: playDuration,
+        master_metadata_album_artist_name: String(cell(row, 'artist')),
+        master_metadata_album_album_name: cell(row, 'album') === null ? 'Unknown Album' : String(cell(row, 'album')),
+        source: STREAMING_TYPES.OTHER
+      };
+      const isrc = cell(row, 'isrc');
+      if (isrc !== null) {
+        result.master_metadata_external_ids = { isrc: String(isrc).trim() };
+      }
+
+      return markEstimated(result, { duration: durationDefaulted });
+    });
+}
+
+function calculatePlayStats(entries, datasetOptions = null, lookupArtistName = createArtistNameLookup(entries)) {
+  const allSongs = [];
+  const artistStats = {};
+  const albumStats = {};
+  const songPlayHistory = {};
+  const serviceListeningTime = {};
+  let totalListeningTime = 0;
+  let processedSongs = 0;
+  let shortPlays = 0;
+
+  // Tracks by the id the resolver gives them, see track-identity.js
+  const trackMap = {};
+  const songKeys = new Set();
+  const trackResolver = createTrackResolver((datasetOptions && datasetOptions.trackMatchDecisions) || {});
+  
+  // Track album information by track/artist combination
+  const albumLookup = {};
+  
+  // Track feature artists by track/artist combination
+  const featureArtistLookup = {};
+  
+  // Add ISRC tracking
+  const isrcMap = {};
+  
+  const rules = getCountingRules(datasetOptions);
+  const attribution = (datasetOptions && datasetOptions.artistAttribution) || 'primary';
+  
+  const addListeningTime = (entry) => {
+    totalListeningTime += entry.ms_played;
+    const service = entry.source || 'unknown';
+    serviceListeningTime[service] = (serviceListeningTime[service] || 0) + entry.ms_played;
+  };
+  
+  // First pass to collect album info and ISRCs
+  entries.forEach(entry => {
+    if (entry.master_metadata_track_name && 
+        entry.master_metadata_album_artist_name) {
+      
+      // Create a simple lookup key based on track name and artist
+      const trackInfo = normalizeString(entry.master_metadata_track_name);
+      const artistInfo = normalizeString(entry.master_metadata_album_artist_name);
+      
+      const lookupKey = `${trackInfo.normalized}|||${artistInfo.normalized}`;
+      
+      trackResolver.add(entry, {
+        matchKey: buildMatchKey(trackInfo.normalized, artistInfo.normalized,
+          entry.master_metadata_track_name, entry.master_metadata_album_artist_name),
+        normTrack: trackInfo.normalized,
+        normArtist: artistInfo.normalized
+      });
+      
+      // Store feature artists in the lookup
+      if (trackInfo.featureArtists && trackInfo.featureArtists.length > 0) {
+        featureArtistLookup[lookupKey] = trackInfo.featureArtists;
+      }
+      
+      // Track ISRC codes when available
+      if (entry.master_metadata_external_ids && entry.master_metadata_external_ids.isrc) {
+        const isrc = entry.master_metadata_external_ids.isrc;
+        isrcMap[isrc] = lookupKey;
+      }
+      
+      // Also check for standalone ISRC field (from Deezer)
+      if (entry.isrc) {
+        isrcMap[entry.isrc] = lookupKey;
+      }
+      
+      // Prioritize Spotify album info over other sources
+      if (entry.source === 'spotify' && entry.master_metadata_album_album_name) {
+        albumLookup[lookupKey] = entry.master_metadata_album_album_name;
+      } 
+      // If no album info for this track yet, use whatever we have
+      else if (!albumLookup[lookupKey] && entry.master_metadata_album_album_name) {
+        albumLookup[lookupKey] = entry.master_metadata_album_album_name;
+      }
+    }
+  });
+  trackResolver.finish();
+  
+  // Second pass to process entries with consolidated information
+  entries.forEach(entry => {
+    const playTime = entry.ms_played;
+    
+    // Plays under the counting rules' minimum length don't count anywhere
+    if (playTime < rules.minPlayMs) {
+      shortPlays++;
+      return;
+    }
+
+    // Entries without a track name are podcasts or unusable; podcasts only
+    // add to the listening totals, and only when the rules say so
+    if (!entry.master_metadata_track_name) {
+      if (rules.countPodcasts && isPodcastPlay(entry)) {
+        addListeningTime(entry);
+      }
+      return;
+    }
+
+    processedSongs++;
+    addListeningTime(entry);
+
+    const trackName = entry.master_metadata_track_name;
+    const artistName = entry.master_metadata_album_artist_name || 'Unknown Artist';
+    
+    // Get normalized versions for lookups
+    const { normalized: normTrack } = normalizeString(trackName);
     const { normalized: normArtist } = normalizeString(artistName);
     
     // Determine the lookup key
@@ -808,59 +1950,63 @@ function calculatePlayStats(entries) {
     
     // Create keys for lookups
     const standardKey = `${trackName}-${artistName}`;
-    const matchKey = createMatchKey(trackName, artistName);
-    
-    // Parse timestamp safely
-    let timestamp;
-    if (entry.ts instanceof Date) {
-      timestamp = entry.ts;
-    } else if (typeof entry.ts === 'string') {
-      timestamp = new Date(entry.ts);
+    const trackId = trackResolver.resolve(entry, {
+      matchKey: buildMatchKey(normTrack, normArtist, trackName, artistName)
+    });
+    // Every spelling of a track shares the play history of its first one.
+    // Different tracks can share a title and artist, such as recordings with
+    // different ISRCs, so a taken key gets the track id added
+    let songKey;
+    if (trackMap[trackId]) {
+      songKey = trackMap[trackId].key;
     } else {
-      timestamp = new Date();
+      songKey = songKeys.has(standardKey) ? `${standardKey}|${trackId}` : standardKey;
+      songKeys.add(songKey);
     }
+    
+    // Plays with an invalid timestamp still count toward the totals, but are
+    // left out of everything that depends on when they happened. Like every
+    // other chart, a play counts when it started; offline plays are placed by
+    // offline_timestamp unless the dataset options say otherwise
+    const playedAt = hasValidTimestamp(entry) ? getPlayInterval(entry, datasetOptions).start : null;
 
     // Track play history
-    if (!songPlayHistory[standardKey]) {
-      songPlayHistory[standardKey] = [];
+    if (!songPlayHistory[songKey]) {
+      songPlayHistory[songKey] = [];
     }
-    
-    // Handle different timestamp formats safely
-    if (timestamp instanceof Date && !isNaN(timestamp.getTime())) {
-      songPlayHistory[standardKey].push(timestamp.getTime());
-    } else if (typeof timestamp === 'number') {
-      songPlayHistory[standardKey].push(timestamp);
-    } else {
-      console.warn('Unexpected timestamp format or invalid date:', timestamp);
-      songPlayHistory[standardKey].push(new Date().getTime());
+    if (playedAt !== null) {
+      songPlayHistory[songKey].push(playedAt);
     }
 
-    // Artist stats
-    if (!artistStats[artistName]) {
-      artistStats[artistName] = {
-        name: artistName,
-        totalPlayed: 0,
-        playCount: 0,
-        firstListen: timestamp.getTime(),
-        firstSong: trackName,
-        firstSongPlayCount: 1  // Add a counter for the first song
-      };
-    } else {
-      // Update running totals
-      artistStats[artistName].totalPlayed += playTime;
-      artistStats[artistName].playCount++;
-      
+    // Artist stats, shared with the featured artists when the attribution mode says so
+    getArtistCredits(artistName, featureArtists, attribution, lookupArtistName).forEach(({ name, share, featured }) => {
+      if (!artistStats[name]) {
+        artistStats[name] = {
+          name,
+          totalPlayed: 0,
+          playCount: 0,
+          featuredPlayCount: 0,
+          firstListen: playedAt,
+          firstSong: trackName,
+          firstSongPlayCount: 0
+        };
+      }
+      const artist = artistStats[name];
+      artist.totalPlayed += playTime * share;
+      artist.playCount += share;
+      if (featured) artist.featuredPlayCount += share;
+
       // If this timestamp is earlier than the current firstListen, update the first song
-      if (timestamp.getTime() < artistStats[artistName].firstListen) {
-        artistStats[artistName].firstListen = timestamp.getTime();
-        artistStats[artistName].firstSong = trackName;
-        artistStats[artistName].firstSongPlayCount = 1;  // Reset count for new first song
-      } 
+      if (playedAt !== null && (artist.firstListen === null || playedAt < artist.firstListen)) {
+        artist.firstListen = playedAt;
+        artist.firstSong = trackName;
+        artist.firstSongPlayCount = 1;
+      }
       // If this is the same song as the first song, increment its counter
-      else if (trackName === artistStats[artistName].firstSong) {
-        artistStats[artistName].firstSongPlayCount = (artistStats[artistName].firstSongPlayCount || 0) + 1;
+      else if (trackName === artist.firstSong) {
+        artist.firstSongPlayCount++;
       }
-    }
+    });
 
     // Album stats
     if (albumName && artistName) {
@@ -872,46 +2018,47 @@ function calculatePlayStats(entries) {
           totalPlayed: 0,
           playCount: 0,
           trackCount: new Set(),
-          firstListen: timestamp.getTime()
+          firstListen: playedAt
         };
       }
       albumStats[albumKey].totalPlayed += playTime;
       albumStats[albumKey].playCount++;
       albumStats[albumKey].trackCount.add(normTrack);
-      albumStats[albumKey].firstListen = Math.min(
-        albumStats[albumKey].firstListen, 
-        timestamp.getTime()
-      );
+      if (playedAt !== null) {
+        albumStats[albumKey].firstListen = albumStats[albumKey].firstListen === null
+          ? playedAt
+          : Math.min(albumStats[albumKey].firstListen, playedAt);
+      }
     }
 
-    if (trackMap[matchKey]) {
+    if (trackMap[trackId]) {
       // Update existing track
-      trackMap[matchKey].totalPlayed += playTime;
-      trackMap[matchKey].playCount++;
+      trackMap[trackId].totalPlayed += playTime;
+      trackMap[trackId].playCount++;
       
       // Always take the known album name if we've found a better one
-      if (albumName !== 'Unknown Album' && trackMap[matchKey].albumName === 'Unknown Album') {
-        trackMap[matchKey].albumName = albumName;
+      if (albumName !== 'Unknown Album' && trackMap[trackId].albumName === 'Unknown Album') {
+        trackMap[trackId].albumName = albumName;
       }
       
       // Add to variations if this is a different name
-      if (!trackMap[matchKey].variations.includes(trackName)) {
-        trackMap[matchKey].variations.push(trackName);
+      if (!trackMap[trackId].variations.includes(trackName)) {
+        trackMap[trackId].variations.push(trackName);
       }
       
       // Store feature artists if we found them
-      if (featureArtists && !trackMap[matchKey].featureArtists) {
-        trackMap[matchKey].featureArtists = featureArtists;
+      if (featureArtists && !trackMap[trackId].featureArtists) {
+        trackMap[trackId].featureArtists = featureArtists;
       }
       
       // Store ISRC if available and not already stored
-      if ((entry.master_metadata_external_ids?.isrc || entry.isrc) && !trackMap[matchKey].isrc) {
-        trackMap[matchKey].isrc = entry.master_metadata_external_ids?.isrc || entry.isrc;
+      if ((entry.master_metadata_external_ids?.isrc || entry.isrc) && !trackMap[trackId].isrc) {
+        trackMap[trackId].isrc = entry.master_metadata_external_ids?.isrc || entry.isrc;
       }
     } else {
       // Add new track
-      trackMap[matchKey] = {
-        key: standardKey,
+      trackMap[trackId] = {
+        key: songKey,
         trackName,
         artist: artistName,
         albumName,
@@ -937,14 +2084,15 @@ function calculatePlayStats(entries) {
     totalListeningTime,
     serviceListeningTime,
     processedSongs,
-    shortPlays
+    shortPlays,
+    trackMatches: trackResolver.getCandidates()
   };
 }
 
-function calculateArtistStreaks(timestamps) {
-  // Sort timestamps and convert to unique days (YYYY-MM-DD format)
+function calculateArtistStreaks(timestamps, timezoneSettings = null) {
+  // Sort timestamps and convert to unique days (YYYY-MM-DD format) on the listener's clock
   const days = [...new Set(
-    timestamps.map(ts => new Date(ts).toISOString().split('T')[0])
+    timestamps.map(ts => getLocalParts(ts, timezoneSettings).dateKey)
   )].sort();
 
   let currentStreak = 0;
@@ -1030,41 +2178,14 @@ function calculateBriefObsessions(songs, songPlayHistory) {
   ).slice(0, 100);
 }
 
-function calculateSongsByYear(songs, songPlayHistory) {
+function calculateSongsByYear(songs, songPlayHistory, timezoneSettings = null) {
   const songsByYear = {};
-  let dateErrors = 0;
   
   songs.forEach(song => {
+    // Play history only holds valid timestamps; flagged plays are left out
     const timestamps = songPlayHistory[song.key] || [];
     if (timestamps.length > 0) {
-      // Group by year with extra validation
-      const playsByYear = _.groupBy(timestamps, ts => {
-        try {
-          const date = new Date(ts);
-          
-          // Check if date is valid
-          if (isNaN(date.getTime())) {
-            dateErrors++;
-            return 2022; // Default to 2022 for invalid dates
-          }
-          
-          // Check if date is from the future
-          const currentYear = new Date().getFullYear();
-          const year = date.getFullYear();
-          
-          if (year > currentYear) {
-            console.warn(`Future year detected: ${year} for song ${song.trackName}. Defaulting to ${currentYear}.`);
-            dateErrors++;
-            return 2022; // Default to 2022 for future dates
-          }
-          
-          return year;
-        } catch (e) {
-          console.error('Error processing timestamp:', ts, e);
-          dateErrors++;
-          return 2022; // Default to 2022 for errors
-        }
-      });
+      const playsByYear = _.groupBy(timestamps, ts => getLocalParts(ts, timezoneSettings).year);
       
       Object.entries(playsByYear).forEach(([year, yearTimestamps]) => {
         if (!songsByYear[year]) {
@@ -1081,10 +2202,6 @@ function calculateSongsByYear(songs, songPlayHistory) {
     }
   });
 
-  if (dateErrors > 0) {
-    console.warn(`Detected ${dateErrors} date parsing issues while grouping songs by year`);
-  }
-
   Object.keys(songsByYear).forEach(year => {
     songsByYear[year] = _.orderBy(songsByYear[year], ['spotifyScore'], ['desc'])
       .slice(0, 100);
@@ -1093,71 +2210,87 @@ function calculateSongsByYear(songs, songPlayHistory) {
   return songsByYear;
 }
 
-function calculateArtistsByYear(songs, songPlayHistory, rawPlayData) {
+// How many "appears on" tracks each artist keeps
+const APPEARS_ON_LIMIT = 5;
+
+function calculateArtistsByYear(songs, songPlayHistory, rawPlayData, timezoneSettings = null, datasetOptions = null, lookupArtistName = createArtistNameLookup(rawPlayData)) {
   const artistsByYear = {};
-  let dateErrors = 0;
+  // Tracks artists are featured on, by year, artist and track; listed whether
+  // or not the attribution mode credits them
+  const appearancesByYear = {};
+  const { minPlayMs } = getCountingRules(datasetOptions);
+  const attribution = (datasetOptions && datasetOptions.artistAttribution) || 'primary';
+
+  const featureArtistsByTrack = new Map();
+  const getFeatureArtists = (trackName) => {
+    if (!trackName) return null;
+    if (!featureArtistsByTrack.has(trackName)) {
+      featureArtistsByTrack.set(trackName, normalizeString(trackName).featureArtists);
+    }
+    return featureArtistsByTrack.get(trackName);
+  };
   
   // First, go through raw play data to get all artists by year
   rawPlayData.forEach(entry => {
-    if (!entry.master_metadata_album_artist_name || entry.ms_played < 30000) {
+    if (!entry.master_metadata_album_artist_name || entry.ms_played < minPlayMs) {
       return; // Skip entries with no artist or short plays
     }
     
-    const artist = entry.master_metadata_album_artist_name;
-    let timestamp;
-    try {
-      timestamp = entry.ts instanceof Date 
-        ? entry.ts 
-        : new Date(entry.ts);
-      
-      // Check if date is valid
-      if (isNaN(timestamp.getTime())) {
-        dateErrors++;
-        return;
-      }
-      
-      // Check if date is from the future
-      const currentYear = new Date().getFullYear();
-      const year = timestamp.getFullYear();
-      
-      if (year > currentYear) {
-        console.warn(`Future year detected: ${year} for artist ${artist}. Defaulting to current year.`);
-        dateErrors++;
-        timestamp = new Date(); // Default to current date for future dates
-      }
-    } catch (e) {
-      console.warn("Error parsing timestamp:", entry.ts, e);
-      dateErrors++;
+    // Flagged timestamps can't be placed in a year
+    if (!hasValidTimestamp(entry)) {
       return;
     }
     
-    const year = timestamp.getFullYear();
+    const artist = entry.master_metadata_album_artist_name;
+    const trackName = entry.master_metadata_track_name;
+    const interval = getPlayInterval(entry, datasetOptions);
+    // ts is when the play ended; the play belongs to the year it started
+    const timestamp = new Date(interval.start);
+    const { year } = getLocalParts(interval.start, timezoneSettings);
+    const featureArtists = getFeatureArtists(trackName);
     
     if (!artistsByYear[year]) {
       artistsByYear[year] = {};
+      appearancesByYear[year] = {};
     }
     
-    if (!artistsByYear[year][artist]) {
-      artistsByYear[year][artist] = {
-        name: artist,
-        totalPlayed: 0,
-        playCount: 0,
-        tracks: new Set(),
-        plays: []
-      };
-    }
-    
-    artistsByYear[year][artist].totalPlayed += entry.ms_played;
-    artistsByYear[year][artist].playCount++;
-    
-    if (entry.master_metadata_track_name) {
-      artistsByYear[year][artist].tracks.add(entry.master_metadata_track_name);
-    }
-    
-    artistsByYear[year][artist].plays.push({
-      timestamp: timestamp.getTime(),
-      trackName: entry.master_metadata_track_name
+    getArtistCredits(artist, featureArtists, attribution, lookupArtistName).forEach(({ name, share, featured }) => {
+      if (!artistsByYear[year][name]) {
+        artistsByYear[year][name] = {
+          name,
+          totalPlayed: 0,
+          playCount: 0,
+          featuredPlayCount: 0,
+          tracks: new Set(),
+          plays: []
+        };
+      }
+      
+      const artistYear = artistsByYear[year][name];
+      artistYear.totalPlayed += entry.ms_played * share;
+      artistYear.playCount += share;
+      if (featured) artistYear.featuredPlayCount += share;
+      
+      if (trackName) {
+        artistYear.tracks.add(trackName);
+      }
+      
+      artistYear.plays.push({
+        timestamp: timestamp.getTime(),
+        trackName,
+        featured
+      });
     });
+
+    if (trackName && featureArtists) {
+      getArtistCredits(artist, featureArtists, 'full', lookupArtistName).forEach(({ name, featured }) => {
+        if (!featured) return;
+        if (!appearancesByYear[year][name]) appearancesByYear[year][name] = {};
+        const appearances = appearancesByYear[year][name];
+        if (!appearances[trackName]) appearances[trackName] = { trackName, artist, playCount: 0 };
+        appearances[trackName].playCount++;
+      });
+    }
   });
   
   // Convert to array format and add additional stats for each year
@@ -1172,9 +2305,10 @@ function calculateArtistsByYear(songs, songPlayHistory, rawPlayData) {
       // Count plays of first song
       const firstSongPlayCount = sortedPlays.filter(play => play.trackName === firstSong).length;
       
-      // Find most played song
+      // Find most played song, preferring the artist's own tracks over ones they're featured on
+      const ownPlays = sortedPlays.filter(play => !play.featured);
       const songCounts = {};
-      sortedPlays.forEach(play => {
+      (ownPlays.length > 0 ? ownPlays : sortedPlays).forEach(play => {
         if (play.trackName) {
           songCounts[play.trackName] = (songCounts[play.trackName] || 0) + 1;
         }
@@ -1187,7 +2321,7 @@ function calculateArtistsByYear(songs, songPlayHistory, rawPlayData) {
       
       // Calculate streaks
       const playDates = [...new Set(
-        sortedPlays.map(play => new Date(play.timestamp).toISOString().split('T')[0])
+        sortedPlays.map(play => getLocalParts(play.timestamp, timezoneSettings).dateKey)
       )].sort();
       
       let currentStreak = 0;
@@ -1223,9 +2357,13 @@ function calculateArtistsByYear(songs, songPlayHistory, rawPlayData) {
       // Calculate a score similar to spotifyScore for sorting
       const artistScore = Math.pow(artist.playCount, 1.5);
       
+      const appearsOn = _.orderBy(Object.values(appearancesByYear[year][artist.name] || {}), ['playCount'], ['desc'])
+        .slice(0, APPEARS_ON_LIMIT);
+      
       return {
         ...artist,
         tracks: artist.tracks.size,
+        appearsOn,
         firstListen,
         firstSong,
         firstSongPlayCount,
@@ -1239,85 +2377,720 @@ function calculateArtistsByYear(songs, songPlayHistory, rawPlayData) {
     }).sort((a, b) => b.artistScore - a.artistScore);
   });
   
-  if (dateErrors > 0) {
-    console.warn(`Detected ${dateErrors} date parsing issues while grouping artists by year`);
-  }
-  
   return result;
 }
 
+// File types worth extracting from an export archive; everything else is skipped unread
+const ARCHIVE_EXTRACT_EXTENSIONS = ['.json', '.jsonl', '.csv', '.tsv', '.html', '.htm', '.xlsx', '.zip'];
+
+function getExtension(fileName) {
+  const dotIndex = fileName.lastIndexOf('.');
+  return dotIndex >= 0 ? fileName.slice(dotIndex).toLowerCase() : '';
+}
+
+function isArchive(file) {
+  return getExtension(file.name) === '.zip';
+}
+
+// Unpack .zip uploads (Spotify, Apple, Deezer and Takeout archives) into plain files.
+// Nested archives, like Apple's Apple_Media_Services.zip, are unpacked recursively.
+// archives lists each one unpacked with how many files came out of it, for the import report.
+async function expandArchives(files, parentPath = '') {
+  const expandedFiles = [];
+  const skippedFiles = [];
+  const archives = [];
+
+  for (const file of Array.from(files)) {
+    const displayName = parentPath ? `${parentPath}/${file.name}` : file.name;
+
+    if (!isArchive(file)) {
+      expandedFiles.push(file);
+      continue;
+    }
+
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(await file.arrayBuffer());
+    } catch (error) {
+      console.error(`Error reading archive ${displayName}:`, error);
+      skippedFiles.push({ name: displayName, reason: 'Could not read archive' });
+      continue;
+    }
+
+    const innerFiles = [];
+    const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+    for (const entry of entries) {
+      const entryPath = `${displayName}/${entry.name}`;
+      const baseName = entry.name.split('/').pop();
+
+      // macOS resource forks and hidden files never hold history data
+      if (entry.name.startsWith('__MACOSX/') || baseName.startsWith('.')) {
+        continue;
+      }
+
+      if (!ARCHIVE_EXTRACT_EXTENSIONS.includes(getExtension(baseName))) {
+        skippedFiles.push({ name: entryPath, reason: 'Unsupported file type' });
+        continue;
+      }
+
+      const blob = await entry.async('blob');
+      const innerFile = new File([blob], baseName, { lastModified: entry.date ? entry.date.getTime() : Date.now() });
+      // Keep the full location so skipped files can be reported meaningfully
+      innerFile.archivePath = entryPath;
+      innerFiles.push(innerFile);
+    }
+
+    archives.push({ name: displayName, extracted: innerFiles.length });
+
+    const nested = await expandArchives(innerFiles, displayName);
+    expandedFiles.push(...nested.files);
+    skippedFiles.push(...nested.skippedFiles);
+    archives.push(...nested.archives);
+  }
+
+  return { files: expandedFiles, skippedFiles, archives };
+}
+
+// How much of each file the adapters get to look at when sniffing its format
+const HEAD_SAMPLE_BYTES = 64 * 1024;
+
+async function readHeadSample(file) {
+  // Binary workbooks can't be sniffed as text
+  if (getExtension(file.name) === '.xlsx') return '';
+  return file.slice(0, HEAD_SAMPLE_BYTES).text();
+}
+
+function getCsvHeaderFields(headSample) {
+  const headerLine = headSample.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+  return Papa.parse(headerLine, { delimitersToGuess: [',', '\t', '|', ';'] }).data[0] || [];
+}
+
+function looksLikeJsonArray(headSample) {
+  return headSample.replace(/^\uFEFF/, '').trimStart().startsWith('[');
+}
+
+// Registry of import adapters. detect() returns a confidence score (0 = not this
+// format) from the file name and the first few KB of content; the highest score wins.
+// parse(file, report, { timezoneSettings }) returns normalized entries and records
+// problems in the import report;
+// adapters for exports that also hold favourites or playlists return
+// { entries, library } instead (see library-data.js).
+export const ADAPTER_REGISTRY = [
+  {
+    id: 'spotify_extended',
+    service: STREAMING_TYPES.SPOTIFY,
+    name: 'Spotify extended streaming history',
+    detect: (file, headSample) => {
+      if (!looksLikeJsonArray(headSample)) return 0;
+      if (headSample.includes('"ms_played"') && headSample.includes('"ts"')) return 10;
+      return file.name.includes('Streaming_History') ? 3 : 0;
+    },
+    parse: async (file, report) => {
+      const data = JSON.parse(await file.text());
+      if (report && data.length > 0) report.headers = Object.keys(data[0]);
+      return data.map(entry => ({
+        ...entry,
+        source: 'spotify'
+      }));
+    }
+  },
+  {
+    id: 'spotify_account_data',
+    service: STREAMING_TYPES.SPOTIFY,
+    name: 'Spotify account data',
+    detect: (file, headSample) => {
+      if (!looksLikeJsonArray(headSample)) return 0;
+      if (headSample.includes('"endTime"') && headSample.includes('"msPlayed"')) return 10;
+      return isSpotifyAccountDataFile(file.name) ? 3 : 0;
+    },
+    parse: async (file, report) => {
+      const data = JSON.parse(await file.text());
+      if (report && data.length > 0) report.headers = Object.keys(data[0]);
+      recordIssue(report, 'note', 'Basic account data: no shuffle, skip, platform or album information', null);
+      return data.map(mapAccountDataEntry);
+    }
+  },
+  {
+    id: 'youtube_music_json',
+    service: STREAMING_TYPES.YOUTUBE_MUSIC,
+    name: 'YouTube Music watch history (JSON)',
+    detect: (file, headSample) => {
+      if (!looksLikeJsonArray(headSample) || !headSample.includes('"header"')) return 0;
+      if (headSample.includes('"YouTube Music"')) return 10;
+      return headSample.includes('"titleUrl"') ? 5 : 0;
+    },
+    parse: async (file, report) => processYouTubeMusicJSON(await file.text(), report)
+  },
+  {
+    id: 'youtube_music_html',
+    service: STREAMING_TYPES.YOUTUBE_MUSIC,
+    name: 'YouTube Music watch history (HTML)',
+    detect: (file, headSample) => {
+      if (!headSample.includes('outer-cell') || !headSample.includes('mdl-typography--title')) return 0;
+      return headSample.includes('YouTube Music') ? 10 : 5;
+    },
+    parse: async (file, report) => processYouTubeMusicHTML(await file.text(), report)
+  },
+  {
+    id: 'apple_music_csv',
+    service: STREAMING_TYPES.APPLE_MUSIC,
+    name: 'Apple Music play history',
+    detect: (file, headSample) => {
+      const fields = getCsvHeaderFields(headSample);
+      if (isApplePlayActivityHeader(fields)) return 10;
+      if (fields.includes('Track Description') &&
+          (fields.includes('Total plays') || fields.includes('Date Played'))) return 10;
+      if (fields.includes('Track Name') && fields.includes('Last Played Date')) return 10;
+      // Unknown Apple CSVs still get the generic column guessing in processAppleMusicCSV
+      return getExtension(file.name) === '.csv' && file.name.toLowerCase().includes('apple') ? 3 : 0;
+    },
+    parse: async (file, report, { timezoneSettings } = {}) =>
+      processAppleMusicCSV(await file.text(), report, timezoneSettings)
+  },
+  {
+    id: 'tidal_csv',
+    service: STREAMING_TYPES.TIDAL,
+    name: 'Tidal streaming history',
+    detect: (file, headSample) => {
+      if (isTidalHeader(getCsvHeaderFields(headSample))) return 8;
+      return getExtension(file.name) === '.csv' && file.name.toLowerCase().includes('tidal') ? 3 : 0;
+    },
+    parse: async (file, report) => processTidalCSV(await file.text(), report)
+  },
+  {
+    id: 'soundcloud_csv',
+    service: STREAMING_TYPES.SOUNDCLOUD,
+    name: 'SoundCloud play history',
+    detect: (file, headSample) => {
+      const fields = getCsvHeaderFields(headSample);
+      return fields.includes('play_time') && fields.includes('track_title') ? 10 : 0;
+    },
+    parse: async (file, report) => processSoundcloudCSV(await file.text(), report)
+  },
+  {
+    id: 'deezer_xlsx',
+    service: STREAMING_TYPES.DEEZER,
+    name: 'Deezer listening history (XLSX)',
+    detect: async (file) => {
+      if (getExtension(file.name) !== '.xlsx') return 0;
+      const sheetNames = await readWorkbookSheetNames(file);
+      return sheetNames.some(name => getDeezerSheetKind(name) === 'history') ? 10 : 0;
+    },
+    parse: async (file, report) => processDeezerXLSX(file, report)
+  },
+  {
+    id: 'deezer_csv',
+    service: STREAMING_TYPES.DEEZER,
+    name: 'Deezer listening history (CSV)',
+    detect: (file, headSample) => {
+      const fields = getCsvHeaderFields(headSample);
+      return DEEZER_HISTORY_COLUMNS.every(column => fields.includes(column)) ? 10 : 0;
+    },
+    parse: async (file, report) => processDeezerCSV(await file.text(), report)
+  },
+  {
+    id: 'lastfm_csv',
+    service: STREAMING_TYPES.LASTFM,
+    name: 'Last.fm scrobbles (CSV)',
+    detect: (file, headSample) => {
+      const fields = getCsvHeaderFields(headSample).map(field => field.trim().toLowerCase());
+      if (fields.includes('uts') && fields.includes('artist') && fields.includes('track')) return 10;
+      if (isHeaderlessLastfmRow(fields)) return 6;
+      return getExtension(file.name) === '.csv' && /last\.?fm|scrobble/i.test(file.name) ? 3 : 0;
+    },
+    parse: async (file, report) => processLastfmCSV(await file.text(), report)
+  },
+  {
+    id: 'lastfm_json',
+    service: STREAMING_TYPES.LASTFM,
+    name: 'Last.fm scrobbles (JSON)',
+    detect: (file, headSample) => {
+      if (headSample.includes('"recenttracks"')) return 10;
+      return headSample.includes('"#text"') && headSample.includes('"uts"') ? 8 : 0;
+    },
+    parse: async (file, report) => processLastfmJSON(await file.text(), report)
+  },
+  {
+    id: 'listenbrainz_json',
+    service: STREAMING_TYPES.LISTENBRAINZ,
+    name: 'ListenBrainz listens',
+    detect: (file, headSample) => {
+      if (headSample.includes('"listened_at"') && headSample.includes('"track_metadata"')) return 10;
+      return getExtension(file.name) === '.jsonl' && file.name.toLowerCase().includes('listen') ? 3 : 0;
+    },
+    parse: async (file, report) => processListenBrainzJSON(await file.text(), report)
+  }
+];
+
+// A saved column mapping as an adapter. It claims files with the columns it was
+// made from, just below the built-in adapters, which know their formats for sure
+function createProfileAdapter(profile) {
+  return {
+    id: getProfileAdapterId(profile),
+    service: STREAMING_TYPES.OTHER,
+    name: `${profile.name} (column mapping)`,
+    detect: async (file, headSample) => {
+      if (profile.headers.length === 0) return 0;
+      const fields = getExtension(file.name) === '.xlsx'
+        ? await readWorkbookHeader(file)
+        : getCsvHeaderFields(headSample);
+      return profile.headers.every(header => fields.includes(header)) ? 9 : 0;
+    },
+    parse: async (file, report) => {
+      const { fields, rows } = await readTable(file);
+      if (report) report.headers = fields;
+      const missing = Object.values(profile.columns).filter(column => column && !fields.includes(column));
+      if (missing.length > 0) {
+        if (report) report.error = `Missing columns: ${missing.join(', ')}`;
+        return [];
+      }
+      return mapProfileRows(rows, profile, report);
+    }
+  };
+}
+
+// The built-in adapters followed by one per saved column mapping
+export function getAdapters(profiles = []) {
+  return ADAPTER_REGISTRY.concat(profiles.map(createProfileAdapter));
+}
+
+export function getAdapterById(adapterId, profiles = []) {
+  return getAdapters(profiles).find(adapter => adapter.id === adapterId) || null;
+}
+
+// Find the adapter that claims a file with the highest confidence, or null
+export async function detectAdapter(file, profiles = []) {
+  let headSample = '';
+  try {
+    headSample = await readHeadSample(file);
+  } catch (error) {
+    console.warn(`Could not read the start of ${file.name}:`, error);
+  }
+
+  let bestAdapter = null;
+  let bestScore = 0;
+  for (const adapter of getAdapters(profiles)) {
+    const score = await adapter.detect(file, headSample);
+    if (score > bestScore) {
+      bestScore = score;
+      bestAdapter = adapter;
+    }
+  }
+  return bestAdapter;
+}
+
+async function resolveAdapter(file, overrideId, profiles = []) {
+  if (overrideId) {
+    const override = getAdapterById(overrideId, profiles);
+    if (override) return override;
+    console.warn(`Unknown adapter override "${overrideId}" for ${file.name}, detecting instead`);
+  }
+  return detectAdapter(file, profiles);
+}
+
+// Identifies one play across exports: when it happened and which track it was.
+// Only meaningful for plays with a real timestamp (see hasDedupableTimestamp)
+function getPlayIdentity(entry) {
+  const time = new Date(entry.ts).getTime();
+  const track = entry.spotify_track_uri || entry.spotify_episode_uri || createMatchKey(
+    entry.master_metadata_track_name || entry.episode_name,
+    entry.master_metadata_album_artist_name || entry.episode_show_name
+  );
+  return `${time}|${track}`;
+}
+
+// Flagged and made-up times say nothing about whether two plays are the same
+function hasDedupableTimestamp(entry) {
+  return hasValidTimestamp(entry) && !entry.estimated?.timestamp;
+}
+
+function getDateRange(entries) {
+  let start = null;
+  let end = null;
+  entries.forEach(entry => {
+    if (!hasValidTimestamp(entry)) return;
+    const time = new Date(entry.ts).getTime();
+    if (start === null || time < start) start = time;
+    if (end === null || time > end) end = time;
+  });
+  return start === null ? null : { start: new Date(start), end: new Date(end) };
+}
+
+// Exports overlap, so a play already in the dataset is skipped when it shows up
+// again. Same time, track and ms_played is an overlap; same time and track with a
+// different ms_played is a conflict, where the existing entry is kept
+export function mergeEntries(existingEntries, incomingEntries) {
+  const seen = new Map();
+  existingEntries.forEach(entry => {
+    if (hasDedupableTimestamp(entry)) seen.set(getPlayIdentity(entry), entry.ms_played);
+  });
+
+  const added = [];
+  let overlapping = 0;
+  let conflicting = 0;
+
+  // Plays are only compared with the existing ones, never with each other:
+  // two plays in one import with the same time and track are both real
+  incomingEntries.forEach(entry => {
+    const identity = hasDedupableTimestamp(entry) ? getPlayIdentity(entry) : null;
+    if (identity === null || !seen.has(identity)) {
+      added.push(entry);
+    } else if (seen.get(identity) === entry.ms_played) {
+      overlapping++;
+    } else {
+      conflicting++;
+    }
+  });
+
+  const entries = existingEntries.concat(added);
+  const previousRange = getDateRange(existingEntries);
+  const addedRange = getDateRange(added);
+
+  return {
+    entries,
+    summary: {
+      existing: existingEntries.length,
+      incoming: incomingEntries.length,
+      added: added.length,
+      overlapping,
+      conflicting,
+      previousRange,
+      extendedStart: addedRange && previousRange && addedRange.start < previousRange.start ? addedRange.start : null,
+      extendedEnd: addedRange && previousRange && addedRange.end > previousRange.end ? addedRange.end : null,
+      combinedRange: getDateRange(entries)
+    }
+  };
+}
+
+// Scrobbles this close to a Spotify play of the same track are that play
+const SCROBBLE_DUPLICATE_WINDOW = 5 * 60 * 1000;
+
+// Services that record plays made elsewhere, stamped with when the play started
+const SCROBBLE_SOURCES = ['lastfm', 'listenbrainz'];
+
+// A duration still to be guessed, or one already taken from Spotify
+function needsScrobbleDuration(entry) {
+  return Boolean(entry.estimated?.duration) || entry.duration_source === 'spotify';
+}
+
+// Last.fm and ListenBrainz also record what is played on Spotify, so a scrobble
+// within a few minutes of a Spotify play of the same track is dropped, each
+// Spotify play standing in for at most one scrobble. Scrobbles left without a
+// duration take the length of the longest Spotify play of their track, when
+// there is one. The result only depends on the Spotify plays, so a scrobble
+// imported twice comes out the same
+function reconcileScrobbles(entries, spotifyPlays) {
+  if (!entries.some(entry => SCROBBLE_SOURCES.includes(entry.source))) {
+    return { entries, duplicates: 0, filled: 0 };
+  }
+
+  const playsByTrack = new Map();
+  spotifyPlays.forEach(entry => {
+    const key = createMatchKey(entry.master_metadata_track_name, entry.master_metadata_album_artist_name);
+    if (!key || !hasValidTimestamp(entry)) return;
+    if (!playsByTrack.has(key)) playsByTrack.set(key, { plays: [], longest: 0 });
+    const track = playsByTrack.get(key);
+    const end = new Date(entry.ts).getTime();
+    track.plays.push({ start: end - (entry.ms_played || 0), end, used: false });
+    track.longest = Math.max(track.longest, entry.ms_played || 0);
+  });
+
+  let duplicates = 0;
+  let filled = 0;
+  const kept = [];
+  entries.forEach(entry => {
+    const track = SCROBBLE_SOURCES.includes(entry.source) && entry.scrobbled_at
+      ? playsByTrack.get(createMatchKey(entry.master_metadata_track_name, entry.master_metadata_album_artist_name))
+      : null;
+    if (!track) {
+      kept.push(entry);
+      return;
+    }
+
+    const scrobbledAt = new Date(entry.scrobbled_at).getTime();
+    let closest = null;
+    let closestDistance = SCROBBLE_DUPLICATE_WINDOW;
+    track.plays.forEach(play => {
+      if (play.used) return;
+      const distance = Math.min(Math.abs(scrobbledAt - play.start), Math.abs(scrobbledAt - play.end));
+      if (distance <= closestDistance) {
+        closest = play;
+        closestDistance = distance;
+      }
+    });
+    if (closest) {
+      closest.used = true;
+      duplicates++;
+      return;
+    }
+
+    if (track.longest > 0 && needsScrobbleDuration(entry)) {
+      const filledEntry = {
+        ...entry,
+        ms_played: track.longest,
+        ts: new Date(scrobbledAt + track.longest).toISOString(),
+        duration_source: 'spotify'
+      };
+      // The duration was the only guess a scrobble has
+      delete filledEntry.estimated;
+      kept.push(filledEntry);
+      filled++;
+    } else {
+      kept.push(entry);
+    }
+  });
+
+  return { entries: kept, duplicates, filled };
+}
+
+// Combine the import report of an earlier import with a new one
+export function mergeImportReports(previousReport, newReport) {
+  if (!previousReport) return newReport;
+  if (!newReport) return previousReport;
+
+  const files = [...previousReport.files, ...newReport.files];
+  return {
+    files,
+    skippedFiles: [...previousReport.skippedFiles, ...newReport.skippedFiles],
+    // Reports saved before archives were recorded have none
+    archives: [...(previousReport.archives || []), ...(newReport.archives || [])],
+    totals: {
+      parsed: _.sumBy(files, 'parsed'),
+      rejected: _.sumBy(files, 'rejected'),
+      defaulted: _.sumBy(files, 'defaulted'),
+      flagged: _.sumBy(files, 'flagged')
+    }
+  };
+}
+
+// Progress goes out as a label and an overall percentage: reading the files
+// fills the first part of the bar, the analysis phases share the rest
+const PARSE_PROGRESS_SHARE = 60;
+const ANALYSIS_PHASE_COUNT = 5;
+
+function reportProgress(onProgress, label, percent) {
+  if (onProgress) onProgress({ label, percent: Math.round(percent) });
+}
+
+// Build every analysis from normalized entries, so a dataset can be
+// re-analysed after its entries have been repaired
+// timezoneSettings (see timezone.js) decide which day and year each play falls in;
+// datasetOptions (see dataset-options.js) hold the counting rules that decide which plays count;
+// aliasRules (see alias-rules.js) rename artists, tracks and albums before anything is counted
+function analyzeEntries(entries, { onProgress = null, progressStart = 0, timezoneSettings = null, datasetOptions = null, aliasRules = [] } = {}) {
+  const phaseShare = (100 - progressStart) / ANALYSIS_PHASE_COUNT;
+  const reportPhase = (index, label) => reportProgress(onProgress, label, progressStart + phaseShare * index);
+  const options = createDatasetOptions(datasetOptions);
+  const allProcessedData = applyAliasRules(entries, aliasRules);
+
+  // Skipped and private session plays the rules leave out stay in the
+  // dataset, but not in any ranking or total
+  const countedEntries = allProcessedData.filter(entry => !isExcludedPlay(entry, options.countingRules));
+
+  // Calculate comprehensive stats using the counted entries
+  reportPhase(0, 'Calculating play stats');
+  // Featured artists typed into titles are matched to the artists' own spelling
+  const lookupArtistName = createArtistNameLookup(countedEntries);
+  const stats = calculatePlayStats(countedEntries, options, lookupArtistName);
+  reportPhase(1, 'Ranking artists and albums');
+  // Songs by their primary artist, and by each artist featured on them
+  const songsByArtist = _.groupBy(stats.songs, 'artist');
+  const appearsOnByArtist = {};
+  stats.songs.forEach(song => {
+    getArtistCredits(song.artist, song.featureArtists, 'full', lookupArtistName).forEach(({ name, featured }) => {
+      if (!featured) return;
+      if (!appearsOnByArtist[name]) appearsOnByArtist[name] = [];
+      appearsOnByArtist[name].push(song);
+    });
+  });
+
+  const sortedArtists = Object.values(stats.artists)
+    .map(artist => {
+      const artistSongs = songsByArtist[artist.name] || [];
+      const appearsOn = appearsOnByArtist[artist.name] || [];
+      const mostPlayed = _.maxBy(artistSongs, 'playCount') || _.maxBy(appearsOn, 'playCount');
+      // Streaks only include featured plays when the attribution mode credits them
+      const creditedSongs = options.artistAttribution === 'primary' ? artistSongs : artistSongs.concat(appearsOn);
+      const artistPlays = [];
+      creditedSongs.forEach(song => {
+        if (stats.playHistory[song.key]) {
+          artistPlays.push(...stats.playHistory[song.key]);
+        }
+      });
+
+      const streaks = calculateArtistStreaks(artistPlays, timezoneSettings);
+
+      return {
+        ...artist,
+        mostPlayedSong: mostPlayed || { trackName: 'Unknown', playCount: 0 },
+        appearsOn: _.orderBy(appearsOn, ['playCount'], ['desc'])
+          .slice(0, APPEARS_ON_LIMIT)
+          .map(song => ({ trackName: song.trackName, artist: song.artist, playCount: song.playCount })),
+        ...streaks
+      };
+    })
+    .sort((a, b) => b.totalPlayed - a.totalPlayed);
+
+  const sortedAlbums = _.orderBy(
+    Object.values(stats.albums).map(album => ({
+      ...album,
+      trackCount: album.trackCount.size
+    })),
+    ['totalPlayed'],
+    ['desc']
+  );
+
+  const sortedSongs = _.orderBy(stats.songs, ['totalPlayed'], ['desc']).slice(0, 250);
+
+  const verifiedAlbums = sortedAlbums.map(album => {
+    if (typeof album.trackCount === 'object' && album.trackCount instanceof Set) {
+      return {
+        ...album,
+        trackCount: album.trackCount.size
+      };
+    }
+    return album;
+  });
+
+  // Let the UI explain which analyses the basic Spotify export can't support
+  const accountDataEntries = allProcessedData.filter(e => e.export_format === 'account_data').length;
+  const dataLimitations = accountDataEntries > 0 ? [{
+    source: 'Spotify account data',
+    entries: accountDataEntries,
+    unavailable: ACCOUNT_DATA_UNAVAILABLE_ANALYSES
+  }] : [];
+
+  reportPhase(2, 'Grouping songs by year');
+  const songsByYear = calculateSongsByYear(stats.songs, stats.playHistory, timezoneSettings);
+  reportPhase(3, 'Finding brief obsessions');
+  const briefObsessions = calculateBriefObsessions(stats.songs, stats.playHistory);
+  reportPhase(4, 'Grouping artists by year');
+  const artistsByYear = calculateArtistsByYear(stats.songs, stats.playHistory, countedEntries, timezoneSettings, options, lookupArtistName);
+  reportProgress(onProgress, 'Done', 100);
+
+  return {
+    stats: {
+      totalEntries: allProcessedData.length,
+      processedSongs: stats.processedSongs,
+      nullTrackNames: allProcessedData.filter(e => !e.master_metadata_track_name).length,
+      skippedEntries: 0,
+      shortPlays: stats.shortPlays,
+      invalidTimestamps: allProcessedData.filter(e => !hasValidTimestamp(e)).length,
+      incognitoPlays: allProcessedData.filter(isIncognitoPlay).length,
+      estimatedPlays: allProcessedData.filter(isEstimatedPlay).length,
+      excludedPlays: allProcessedData.length - countedEntries.length,
+      aliasedPlays: allProcessedData.filter(e => e.aliasedFrom).length,
+      totalListeningTime: stats.totalListeningTime,
+      serviceListeningTime: stats.serviceListeningTime
+    },
+    topArtists: sortedArtists,
+    topAlbums: verifiedAlbums,
+    processedTracks: sortedSongs,
+    songsByYear,
+    briefObsessions,
+    artistsByYear,
+    trackMatches: stats.trackMatches,
+    rawPlayData: allProcessedData,
+    dataLimitations,
+    timezoneSettings,
+    datasetOptions: options
+  };
+}
+
 // Main processor
 export const streamingProcessor = {
-  async processFiles(files) {
+  // Work out which adapter would claim each file, for showing on the upload tab;
+  // adapterProfiles are the saved column mappings (see column-mapping.js)
+  async detectFiles(files, { adapterProfiles = [] } = {}) {
+    return Promise.all(Array.from(files).map(async (file) => {
+      if (isArchive(file)) {
+        return { name: file.name, isArchive: true, adapterId: null, adapterName: null };
+      }
+      const adapter = await detectAdapter(file, adapterProfiles);
+      return {
+        name: file.name,
+        isArchive: false,
+        adapterId: adapter ? adapter.id : null,
+        adapterName: adapter ? adapter.name : null
+      };
+    }));
+  },
+
+  analyzeEntries,
+
+  // adapterOverrides maps a file name to the id of the adapter that should parse it;
+  // onProgress receives { label, percent } as each file and analysis phase finishes;
+  // baseEntries are the plays of an earlier import to merge the new files into;
+  // adapterProfiles are the saved column mappings, which the worker can't load itself
+  async processFiles(files, { adapterOverrides = {}, onProgress = null, baseEntries = [], timezoneSettings = null, datasetOptions = null, aliasRules = [], adapterProfiles = [] } = {}) {
     try {
-      let allProcessedData = [];
+      // Unpack any uploaded archives first so every file inside gets routed below
+      reportProgress(onProgress, 'Unpacking archives', 0);
+      const { files: inputFiles, skippedFiles, archives } = await expandArchives(files);
+      const fileAdapters = [];
+      const fileReports = [];
+      const libraries = [];
+      let filesDone = 0;
+      const reportFileDone = (fileKey) => {
+        filesDone++;
+        reportProgress(onProgress, `Read ${fileKey}`, (filesDone / inputFiles.length) * PARSE_PROGRESS_SHARE);
+      };
       
       const processedData = await Promise.all(
-        Array.from(files).map(async (file) => {
-          // Spotify JSON files
-          if (file.name.includes('Streaming_History') && file.name.endsWith('.json')) {
-            try {
-              const content = await file.text();
-              const data = JSON.parse(content);
-              const dataWithSource = data.map(entry => ({
-                ...entry,
-                source: 'spotify'
-              }));
-              allProcessedData = [...allProcessedData, ...dataWithSource];
-              return dataWithSource;
-            } catch (error) {
-              console.error('Error parsing JSON:', error);
-              return [];
-            }
-          }
-          
-          // Apple Music CSV files
-          else if (file.name.toLowerCase().includes('apple') && file.name.endsWith('.csv')) {
-            try {
-              const content = await file.text();
-              const transformedData = await processAppleMusicCSV(content);
-              allProcessedData = [...allProcessedData, ...transformedData];
-              return transformedData;
-            } catch (error) {
-              console.error('Error processing Apple Music CSV file:', error);
-              return [];
-            }
-          }
-          
-          // Soundcloud CSV files
-          else if (file.name.endsWith('.csv')) {
-            try {
-              const content = await file.text();
-              // Check if it's a Soundcloud CSV by looking at content
-              if (content.includes('play_time') && content.includes('track_title')) {
-                console.log(`Processing ${file.name} as a Soundcloud CSV file`);
-                const soundcloudData = await processSoundcloudCSV(content);
-                allProcessedData = [...allProcessedData, ...soundcloudData];
-                return soundcloudData;
-              }
-              return [];
-            } catch (error) {
-              console.error('Error processing Soundcloud CSV file:', error);
-              return [];
-            }
+        inputFiles.map(async (file) => {
+          const fileKey = file.archivePath || file.name;
+          const adapter = await resolveAdapter(file, adapterOverrides[fileKey], adapterProfiles);
+
+          if (!adapter) {
+            skippedFiles.push({ name: fileKey, reason: 'Not a recognised streaming history file' });
+            reportFileDone(fileKey);
+            return [];
           }
-          
-          // Deezer XLSX file
-          else if (file.name.toLowerCase().includes('deezer') && file.name.endsWith('.xlsx')) {
-            try {
-              const transformedData = await processDeezerXLSX(file);
-              allProcessedData = [...allProcessedData, ...transformedData];
-              return transformedData;
-            } catch (error) {
-              console.error('Error processing Deezer XLSX file:', error);
-              return [];
-            }
+
+          const report = createFileReport(fileKey, adapter.name);
+          fileReports.push(report);
+
+          try {
+            const parsed = await adapter.parse(file, report, { timezoneSettings });
+            const data = Array.isArray(parsed) ? parsed : parsed.entries;
+            if (parsed.library) libraries.push(parsed.library);
+            flagInvalidTimestamps(data, report);
+            report.parsed = data.length;
+            fileAdapters.push({ name: fileKey, adapterId: adapter.id, adapterName: adapter.name, entries: data.length });
+            reportFileDone(fileKey);
+            return data;
+          } catch (error) {
+            console.error(`Error processing ${fileKey} as ${adapter.name}:`, error);
+            report.error = error.message;
+            skippedFiles.push({ name: fileKey, reason: `Could not be read as ${adapter.name}` });
+            reportFileDone(fileKey);
+            return [];
           }
-          
-          return [];
         })
       );
 
+      // Overlapping exports repeat plays, so the new files are merged into the
+      // earlier import rather than appended to it. New files carry the names as exported, so the
+      // earlier plays are compared under their names from before any alias rule
+      const originalEntries = baseEntries.map(getOriginalEntry);
+      const incomingEntries = processedData.flat();
+
+      // Scrobbles are checked against every Spotify play, old and new, before
+      // the merge so a re-imported scrobble matches the copy already saved
+      const spotifyPlays = _.uniqBy(
+        originalEntries.concat(incomingEntries).filter(entry => entry.source === 'spotify'),
+        getPlayIdentity
+      );
+      const existingScrobbles = reconcileScrobbles(originalEntries, spotifyPlays);
+      const incomingScrobbles = reconcileScrobbles(incomingEntries, spotifyPlays);
+      const { entries: allProcessedData, summary } = mergeEntries(existingScrobbles.entries, incomingScrobbles.entries);
+      const mergeSummary = {
+        ...summary,
+        duplicateScrobbles: existingScrobbles.duplicates + incomingScrobbles.duplicates,
+        filledScrobbles: incomingScrobbles.filled
+      };
+
       // Handle ISRC codes from Deezer data
       allProcessedData.forEach(item => {
         if (item.source === 'deezer' && item.isrc) {
@@ -1328,71 +3101,29 @@ export const streamingProcessor = {
         }
       });
 
-      // Calculate comprehensive stats using allProcessedData
-      const stats = calculatePlayStats(allProcessedData);
-
-
-
-      const sortedArtists = Object.values(stats.artists)
-        .map(artist => {
-          const artistSongs = stats.songs.filter(song => song.artist === artist.name);
-          const mostPlayed = _.maxBy(artistSongs, 'playCount');
-          const artistPlays = [];
-          artistSongs.forEach(song => {
-            if (stats.playHistory[song.key]) {
-              artistPlays.push(...stats.playHistory[song.key]);
-            }
-          });
-
-          const streaks = calculateArtistStreaks(artistPlays);
-
-          return {
-            ...artist,
-            mostPlayedSong: mostPlayed || { trackName: 'Unknown', playCount: 0 },
-            ...streaks
-          };
-        })
-        .sort((a, b) => b.totalPlayed - a.totalPlayed);
-
-      const sortedAlbums = _.orderBy(
-        Object.values(stats.albums).map(album => ({
-          ...album,
-          trackCount: album.trackCount.size
-        })),
-        ['totalPlayed'],
-        ['desc']
-      );
-
-      const sortedSongs = _.orderBy(stats.songs, ['totalPlayed'], ['desc']).slice(0, 250);
- 
-const verifiedAlbums = sortedAlbums.map(album => {
-  if (typeof album.trackCount === 'object' && album.trackCount instanceof Set) {
-    return {
-      ...album,
-      trackCount: album.trackCount.size
-    };
-  }
-  return album;
-});
+      const analysis = analyzeEntries(allProcessedData, { onProgress, progressStart: PARSE_PROGRESS_SHARE, timezoneSettings, datasetOptions, aliasRules });
 
       return {
+        ...analysis,
         stats: {
-          totalFiles: files.length,
-          totalEntries: allProcessedData.length,
-          processedSongs: stats.processedSongs,
-          nullTrackNames: allProcessedData.filter(e => !e.master_metadata_track_name).length,
-          skippedEntries: 0,
-          shortPlays: stats.shortPlays,
-          totalListeningTime: stats.totalListeningTime,
-          serviceListeningTime: stats.serviceListeningTime
+          totalFiles: inputFiles.length,
+          ...analysis.stats
+        },
+        fileAdapters,
+        skippedFiles,
+        library: libraries.length > 0 ? mergeLibraries(...libraries) : null,
+        importReport: {
+          files: fileReports,
+          skippedFiles,
+          archives,
+          totals: {
+            parsed: _.sumBy(fileReports, 'parsed'),
+            rejected: _.sumBy(fileReports, 'rejected'),
+            defaulted: _.sumBy(fileReports, 'defaulted'),
+            flagged: _.sumBy(fileReports, 'flagged')
+          }
         },
-        topArtists: sortedArtists,
-        topAlbums: verifiedAlbums,
-        processedTracks: sortedSongs,
-        songsByYear: calculateSongsByYear(stats.songs, stats.playHistory),
-        briefObsessions: calculateBriefObsessions(stats.songs, stats.playHistory),
-        artistsByYear: calculateArtistsByYear(stats.songs, stats.playHistory, allProcessedData),
-        rawPlayData: allProcessedData
+        mergeSummary
       };
     } catch (error) {
       console.error('Error processing files:', error);
@@ -1,7 +1,10 @@
 import React, { useState, useMemo } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea } from 'recharts';
+import { splitPlayByHour } from './play-intervals.js';
+import EstimatedNote from './estimated-note.js';
+import { getCountingRules, countsTowardTotals, isEstimatedPlay, isMostlyEstimated } from './dataset-options.js';
 
-const StreamingByYear = ({ rawPlayData = [], formatDuration }) => {
+const StreamingByYear = ({ rawPlayData = [], formatDuration, timezoneSettings = null, datasetOptions = null }) => {
   const [selectedYear, setSelectedYear] = useState('all');
   
   // Analyze streaming service usage by year
@@ -10,31 +13,39 @@ const StreamingByYear = ({ rawPlayData = [], formatDuration }) => {
     const servicesByYear = {};
     let allServices = new Set();
     
+    // Counters for a year and service, created the first time a play reaches them
+    const getCounter = (year, service) => {
+      if (!servicesByYear[year]) {
+        servicesByYear[year] = {};
+      }
+      if (!servicesByYear[year][service]) {
+        servicesByYear[year][service] = {
+          count: 0,
+          estimatedCount: 0,
+          totalMs: 0
+        };
+      }
+      return servicesByYear[year][service];
+    };
+    
+    const rules = getCountingRules(datasetOptions);
+    
     rawPlayData.forEach(entry => {
-      if (entry.ms_played >= 30000) { // Only count meaningful plays
-        const date = new Date(entry.ts);
-        const year = date.getFullYear();
+      if (countsTowardTotals(entry, rules)) {
+        const segments = splitPlayByHour(entry, timezoneSettings, datasetOptions);
+        if (segments.length === 0) return;
         const service = entry.source || 'unknown';
         
         // Add to set of all services
         allServices.add(service);
         
-        // Initialize year if not exists
-        if (!servicesByYear[year]) {
-          servicesByYear[year] = {};
-        }
-        
-        // Initialize service counter for this year
-        if (!servicesByYear[year][service]) {
-          servicesByYear[year][service] = {
-            count: 0,
-            totalMs: 0
-          };
-        }
-        
-        // Increment counters
-        servicesByYear[year][service].count += 1;
-        servicesByYear[year][service].totalMs += entry.ms_played;
+        // The play counts in the year it started; its minutes are split across years
+        const startCounter = getCounter(segments[0].parts.year, service);
+        startCounter.count += 1;
+        if (isEstimatedPlay(entry)) startCounter.estimatedCount += 1;
+        segments.forEach(({ parts, ms }) => {
+          getCounter(parts.year, service).totalMs += ms;
+        });
       }
     });
     
@@ -48,6 +59,7 @@ const StreamingByYear = ({ rawPlayData = [], formatDuration }) => {
       youtube_music: '#FF0000',
       tidal: '#000000',
       deezer: '#9B4DEE',  // Changed to purple
+      lastfm: '#D51007',
       unknown: '#666666'
     };
     
@@ -63,10 +75,17 @@ const StreamingByYear = ({ rawPlayData = [], formatDuration }) => {
     Object.entries(servicesByYear).forEach(([year, services]) => {
       yearTotals[year] = {
         totalPlays: Object.values(services).reduce((sum, data) => sum + data.count, 0),
+        estimatedPlays: Object.values(services).reduce((sum, data) => sum + data.estimatedCount, 0),
         totalTime: Object.values(services).reduce((sum, data) => sum + data.totalMs, 0)
       };
     });
     
+    // Years built mostly from estimated plays get shaded on the chart
+    const estimatedYears = Object.keys(yearTotals).filter(year => isMostlyEstimated({
+      count: yearTotals[year].totalPlays,
+      estimatedCount: yearTotals[year].estimatedPlays
+    }));
+    
     // Format for bar chart - all years
     const barChartData = Object.entries(servicesByYear)
       .map(([year, services]) => {
@@ -88,9 +107,10 @@ const StreamingByYear = ({ rawPlayData = [], formatDuration }) => {
       serviceColorMap,
       yearTotals,
       barChartData,
+      estimatedYears,
       years: Object.keys(servicesByYear).sort()
     };
-  }, [rawPlayData]);
+  }, [rawPlayData, timezoneSettings, datasetOptions]);
   
   // Get detailed data for selected year
   const selectedYearData = useMemo(() => {
@@ -186,6 +206,9 @@ const StreamingByYear = ({ rawPlayData = [], formatDuration }) => {
                 return value.endsWith('_time') ? null : formatServiceName(value);
               }} />
               
+              {serviceData.estimatedYears.map(year => (
+                <ReferenceArea key={year} x1={year} x2={year} fill="#9ca3af" fillOpacity={0.3} />
+              ))}
               {serviceData.servicesArray.map(service => (
                 <Bar 
                   key={service} 
@@ -197,6 +220,7 @@ const StreamingByYear = ({ rawPlayData = [], formatDuration }) => {
             </BarChart>
           </ResponsiveContainer>
         </div>
+        {serviceData.estimatedYears.length > 0 && <EstimatedNote what="years" />}
       </div>
       
       <div className="flex justify-between items-center mb-4">
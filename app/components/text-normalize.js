@@ -0,0 +1,27 @@
+// Folding names into a form that compares equal across spellings, in any script.
+// \w only knows ASCII, so matching on it turned Japanese, Korean, Cyrillic or
+// Arabic titles into empty strings and merged unrelated songs together
+
+// Combining diacritics (U+0300-U+036F) on Latin letters only: NFKD also splits
+// voiced kana, Hangul syllables and Cyrillic й and ё into parts that change
+// the word, so those are kept and put back together by NFC
+const LATIN_DIACRITICS = /(\p{Script=Latin})[\u0300-\u036f]+/gu;
+
+// Marks are kept too, since Devanagari, Thai and Arabic vowel signs are part
+// of the word rather than decoration
+const NON_WORD_CHARACTERS = /[^\p{L}\p{M}\p{N}\s]/gu;
+
+// Lowercased, accent-free and punctuation-free, with single spaces:
+// "Beyoncé" and "BEYONCE" both become "beyonce", "ＡＢＣ" becomes "abc",
+// while "ガ" and "カ" stay different
+export function foldText(str) {
+  if (!str) return '';
+  return String(str)
+    .normalize('NFKD')
+    .replace(LATIN_DIACRITICS, '$1')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(NON_WORD_CHARACTERS, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
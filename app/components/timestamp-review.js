@@ -0,0 +1,209 @@
+import React, { useMemo, useState } from 'react';
+import { hasValidTimestamp } from './streaming-adapter.js';
+
+const PAGE_SIZE = 25;
+
+// Guess a play time from the closest plays of the same service around it in
+// the file order: halfway between them, or the one neighbour that exists
+const inferTimestamp = (entries, index) => {
+  const { source } = entries[index];
+  const findNeighbour = (step) => {
+    for (let i = index + step; i >= 0 && i < entries.length; i += step) {
+      if (entries[i].source === source && hasValidTimestamp(entries[i])) {
+        return new Date(entries[i].ts).getTime();
+      }
+    }
+    return null;
+  };
+
+  const before = findNeighbour(-1);
+  const after = findNeighbour(1);
+  if (before !== null && after !== null) return new Date((before + after) / 2);
+  if (before !== null) return new Date(before);
+  if (after !== null) return new Date(after);
+  return null;
+};
+
+// An inferred time is a guess, so it counts as estimated like an importer's guesses
+const repairEntry = (entry, timestamp, method) => ({
+  ...entry,
+  ts: timestamp,
+  timestampInvalid: false,
+  timestampRepaired: method,
+  ...(method === 'inferred' && {
+    estimated: { duration: false, ...entry.estimated, timestamp: true }
+  })
+});
+
+const TimestampReview = ({ rawPlayData = [], onRepair }) => {
+  const [assignedDates, setAssignedDates] = useState({});
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [message, setMessage] = useState(null);
+
+  const flaggedIndexes = useMemo(() => {
+    const indexes = [];
+    rawPlayData.forEach((entry, index) => {
+      if (entry.timestampInvalid) indexes.push(index);
+    });
+    return indexes;
+  }, [rawPlayData]);
+
+  const repairedCount = useMemo(
+    () => rawPlayData.filter(entry => entry.timestampRepaired).length,
+    [rawPlayData]
+  );
+
+  if (flaggedIndexes.length === 0) {
+    return (
+      <p className="text-slate-600">
+        No plays with invalid timestamps.
+        {repairedCount > 0 && ` ${repairedCount} plays have a repaired timestamp.`}
+      </p>
+    );
+  }
+
+  // Inferences are worked out against the data as it is now, so repaired
+  // entries never feed into the guesses for other ones
+  const applyRepairs = (indexes, buildEntry) => {
+    const updated = [...rawPlayData];
+    let repaired = 0;
+    indexes.forEach(index => {
+      const entry = buildEntry(index);
+      if (entry) {
+        updated[index] = entry;
+        repaired++;
+      }
+    });
+    return { updated, repaired };
+  };
+
+  const inferEntries = (indexes) => {
+    const { updated, repaired } = applyRepairs(indexes, index => {
+      const timestamp = inferTimestamp(rawPlayData, index);
+      return timestamp ? repairEntry(rawPlayData[index], timestamp, 'inferred') : null;
+    });
+    const missed = indexes.length - repaired;
+    setMessage(missed > 0
+      ? `Inferred ${repaired} timestamps; ${missed} plays have no dated neighbours from the same service.`
+      : `Inferred ${repaired} timestamps.`);
+    if (repaired > 0) onRepair(updated);
+  };
+
+  const assignEntry = (index) => {
+    const value = assignedDates[index];
+    const timestamp = value ? new Date(value) : null;
+    if (!timestamp || isNaN(timestamp.getTime()) || timestamp > new Date()) {
+      setMessage('Pick a date and time that is not in the future.');
+      return;
+    }
+    const { updated } = applyRepairs([index], i => repairEntry(rawPlayData[i], timestamp, 'assigned'));
+    setAssignedDates(prev => {
+      const next = { ...prev };
+      delete next[index];
+      return next;
+    });
+    setMessage(null);
+    onRepair(updated);
+  };
+
+  const dropEntries = (indexes) => {
+    const dropped = new Set(indexes);
+    setMessage(`Dropped ${indexes.length} plays.`);
+    onRepair(rawPlayData.filter((entry, index) => !dropped.has(index)));
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-slate-600 text-sm">
+        {flaggedIndexes.length} plays have a missing, unreadable or future timestamp. They count
+        towards your totals but are left out of anything based on when you listened.
+        {repairedCount > 0 && ` ${repairedCount} plays have a repaired timestamp.`}
+      </p>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => inferEntries(flaggedIndexes)}
+          className="px-3 py-1 bg-slate-600 text-white rounded hover:bg-slate-700"
+        >
+          Infer all from neighbouring plays
+        </button>
+        <button
+          onClick={() => dropEntries(flaggedIndexes)}
+          className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700"
+        >
+          Drop all
+        </button>
+      </div>
+
+      {message && <div className="text-sm text-slate-700">{message}</div>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border border-slate-300 text-sm">
+          <thead>
+            <tr className="bg-slate-100 text-slate-700">
+              <th className="p-2 text-left">Track</th>
+              <th className="p-2 text-left">Artist</th>
+              <th className="p-2 text-left">Service</th>
+              <th className="p-2 text-left">Original value</th>
+              <th className="p-2 text-left">Repair</th>
+            </tr>
+          </thead>
+          <tbody>
+            {flaggedIndexes.slice(0, visibleCount).map(index => {
+              const entry = rawPlayData[index];
+              return (
+                <tr key={index} className="border-t border-slate-200 text-slate-700">
+                  <td className="p-2">{entry.master_metadata_track_name || entry.episode_name || 'Unknown'}</td>
+                  <td className="p-2">{entry.master_metadata_album_artist_name || entry.episode_show_name || 'Unknown'}</td>
+                  <td className="p-2">{entry.source || 'spotify'}</td>
+                  <td className="p-2 font-mono text-xs">
+                    {entry.raw_timestamp === null || entry.raw_timestamp === undefined ? 'missing' : String(entry.raw_timestamp)}
+                  </td>
+                  <td className="p-2">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <input
+                        type="datetime-local"
+                        value={assignedDates[index] || ''}
+                        onChange={(e) => setAssignedDates(prev => ({ ...prev, [index]: e.target.value }))}
+                        className="border rounded px-1 py-0.5"
+                      />
+                      <button
+                        onClick={() => assignEntry(index)}
+                        className="px-2 py-0.5 bg-slate-200 rounded hover:bg-slate-300"
+                      >
+                        Set
+                      </button>
+                      <button
+                        onClick={() => inferEntries([index])}
+                        className="px-2 py-0.5 bg-slate-200 rounded hover:bg-slate-300"
+                      >
+                        Infer
+                      </button>
+                      <button
+                        onClick={() => dropEntries([index])}
+                        className="px-2 py-0.5 bg-red-100 text-red-700 rounded hover:bg-red-200"
+                      >
+                        Drop
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {flaggedIndexes.length > visibleCount && (
+        <button
+          onClick={() => setVisibleCount(count => count + PAGE_SIZE)}
+          className="text-slate-600 hover:text-slate-800 text-sm"
+        >
+          Show more ({flaggedIndexes.length - visibleCount} remaining)
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TimestampReview;
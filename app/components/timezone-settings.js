@@ -0,0 +1,108 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { createTimezoneSettings, getTimeZoneOptions, isValidOverride } from './timezone.js';
+
+const EMPTY_OVERRIDE = { start: '', end: '', zone: '' };
+
+const TimezoneSettings = ({ settings, onApply, isApplying = false }) => {
+  const [draft, setDraft] = useState(() => settings || createTimezoneSettings());
+  const [newOverride, setNewOverride] = useState(EMPTY_OVERRIDE);
+  const [message, setMessage] = useState(null);
+  const zoneOptions = useMemo(() => getTimeZoneOptions(), []);
+
+  // Pick up settings that change outside this panel, e.g. after a restore
+  useEffect(() => {
+    setDraft(settings || createTimezoneSettings());
+  }, [settings]);
+
+  const addOverride = () => {
+    if (!isValidOverride(newOverride)) {
+      setMessage('Choose a timezone and a start date on or before the end date.');
+      return;
+    }
+    setDraft(prev => ({ ...prev, overrides: [...prev.overrides, newOverride] }));
+    setNewOverride(EMPTY_OVERRIDE);
+    setMessage(null);
+  };
+
+  const removeOverride = (indexToRemove) => {
+    setDraft(prev => ({
+      ...prev,
+      overrides: prev.overrides.filter((_, index) => index !== indexToRemove)
+    }));
+  };
+
+  const zoneSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="border rounded px-2 py-1">
+      <option value="">Choose a timezone</option>
+      {zoneOptions.map(zone => (
+        <option key={zone} value={zone}>{zone}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-3 text-purple-700">
+      <p className="text-sm">
+        Play times in the exports are in UTC. Hours, days and years are worked out in the timezone
+        below, or in an override for the dates you were somewhere else. Later overrides win where ranges overlap.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold">Default timezone:</span>
+        {zoneSelect(draft.defaultZone, zone => setDraft(prev => ({ ...prev, defaultZone: zone })))}
+      </div>
+
+      {draft.overrides.length > 0 && (
+        <ul className="space-y-1">
+          {draft.overrides.map((override, index) => (
+            <li key={`${override.start}-${override.end}-${index}`} className="flex items-center gap-2">
+              <span>
+                {override.start} to {override.end}: {override.zone}
+                {override.tripId && <span className="text-purple-500"> (confirmed trip)</span>}
+              </span>
+              <button onClick={() => removeOverride(index)} className="text-red-600 hover:text-red-800">
+                <X size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="date"
+          value={newOverride.start}
+          onChange={(e) => setNewOverride(prev => ({ ...prev, start: e.target.value }))}
+          className="border rounded px-2 py-1"
+        />
+        <span>to</span>
+        <input
+          type="date"
+          value={newOverride.end}
+          onChange={(e) => setNewOverride(prev => ({ ...prev, end: e.target.value }))}
+          className="border rounded px-2 py-1"
+        />
+        {zoneSelect(newOverride.zone, zone => setNewOverride(prev => ({ ...prev, zone })))}
+        <button
+          onClick={addOverride}
+          className="px-3 py-1 bg-purple-200 rounded hover:bg-purple-300"
+        >
+          Add override
+        </button>
+      </div>
+
+      {message && <div className="text-sm text-red-600">{message}</div>}
+
+      <button
+        onClick={() => onApply(draft)}
+        disabled={isApplying || !draft.defaultZone}
+        className="px-4 py-1 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:bg-purple-400"
+      >
+        {isApplying ? 'Applying...' : 'Apply timezone settings'}
+      </button>
+    </div>
+  );
+};
+
+export default TimezoneSettings;
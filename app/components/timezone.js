@@ -0,0 +1,182 @@
+// Plays are stored in UTC. These helpers put them on the wall clock of wherever
+// the listener was, using the dataset's timezone settings: a default zone plus
+// date-ranged overrides like { start: '2019-03', end: '2020-08', zone: 'Asia/Tokyo' }
+
+const HOUR_MS = 60 * 60 * 1000;
+const OFFSET_CACHE_LIMIT = 500000;
+
+const formatterCache = new Map();
+const offsetCache = new Map();
+
+export function getBrowserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+}
+
+export function createTimezoneSettings(defaultZone = getBrowserTimeZone()) {
+  return { defaultZone, overrides: [] };
+}
+
+export function isValidTimeZone(zone) {
+  if (!zone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function getTimeZoneOptions() {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return ['UTC', ...Intl.supportedValuesOf('timeZone').filter(zone => zone !== 'UTC')];
+  }
+  return ['UTC', getBrowserTimeZone()];
+}
+
+// Range bounds are 'YYYY-MM' or 'YYYY-MM-DD', both inclusive; a month covers
+// all its days. Days start at midnight in the override's own zone
+function parseRangeStart(value, zone) {
+  const [year, month, day = 1] = String(value).split('-').map(Number);
+  return wallClockInZone(Date.UTC(year, month - 1, day), zone);
+}
+
+function parseRangeEnd(value, zone) {
+  const parts = String(value).split('-').map(Number);
+  const [year, month] = parts;
+  return wallClockInZone(parts.length > 2
+    ? Date.UTC(year, month - 1, parts[2] + 1)
+    : Date.UTC(year, month, 1), zone);
+}
+
+export function isValidOverride(override) {
+  if (!override || !isValidTimeZone(override.zone) || !override.start || !override.end) return false;
+  const start = parseRangeStart(override.start, override.zone);
+  const end = parseRangeEnd(override.end, override.zone);
+  return !isNaN(start) && !isNaN(end) && start < end;
+}
+
+// Resolve override bounds once per settings object rather than per play
+const resolvedOverrides = new WeakMap();
+
+function getResolvedOverrides(settings) {
+  let resolved = resolvedOverrides.get(settings);
+  if (!resolved) {
+    resolved = (settings.overrides || [])
+      .filter(isValidOverride)
+      .map(override => ({
+        zone: override.zone,
+        start: parseRangeStart(override.start, override.zone),
+        end: parseRangeEnd(override.end, override.zone)
+      }));
+    resolvedOverrides.set(settings, resolved);
+  }
+  return resolved;
+}
+
+// Later overrides win where ranges overlap
+export function getZoneForTime(settings, time) {
+  if (!settings) return getBrowserTimeZone();
+  const overrides = getResolvedOverrides(settings);
+  for (let i = overrides.length - 1; i >= 0; i--) {
+    if (time >= overrides[i].start && time < overrides[i].end) {
+      return overrides[i].zone;
+    }
+  }
+  return settings.defaultZone || getBrowserTimeZone();
+}
+
+function getFormatter(zone) {
+  let formatter = formatterCache.get(zone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch (error) {
+      console.error(`Unknown timezone "${zone}", using UTC instead`);
+      formatter = getFormatter('UTC');
+    }
+    formatterCache.set(zone, formatter);
+  }
+  return formatter;
+}
+
+// Offset from UTC in ms at one instant, to the second
+function lookUpOffset(zone, time) {
+  const instant = Math.floor(time / 1000) * 1000;
+  const parts = {};
+  getFormatter(zone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return wallClock - instant;
+}
+
+// Offsets are cached per zone and hour when the hour has one offset all the
+// way through. Transitions don't all fall on the hour (Australia/Lord_Howe
+// moves at half past), so an hour with one inside is looked up per instant
+function getOffset(zone, time) {
+  const hourStart = Math.floor(time / HOUR_MS) * HOUR_MS;
+  const key = `${zone}|${hourStart}`;
+  let offset = offsetCache.get(key);
+  if (offset === undefined) {
+    const atStart = lookUpOffset(zone, hourStart);
+    offset = atStart === lookUpOffset(zone, hourStart + HOUR_MS - 1000) ? atStart : null;
+    if (offsetCache.size >= OFFSET_CACHE_LIMIT) offsetCache.clear();
+    offsetCache.set(key, offset);
+  }
+  return offset === null ? lookUpOffset(zone, time) : offset;
+}
+
+// The UTC time at which a zone's wall clock shows wallClock (calendar fields
+// written as a UTC timestamp). Times skipped by a transition land after it
+function wallClockInZone(wallClock, zone) {
+  const guess = wallClock - getOffset(zone, wallClock);
+  return wallClock - getOffset(zone, guess);
+}
+
+// A wall-clock time read from an export that has no zone of its own, such as
+// Apple's Daily Tracks hours, as a Date in the zone the listener was in then
+export function fromWallClock(year, month, day, hour = 0, minute = 0, settings = null) {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  return new Date(wallClockInZone(wallClock, getZoneForTime(settings, wallClock)));
+}
+
+// Calendar fields of a play on the listener's wall clock
+export function getLocalParts(value, settings) {
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  const zone = getZoneForTime(settings, time);
+  const local = new Date(time + getOffset(zone, time));
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth();
+  return {
+    year,
+    month,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    weekday: local.getUTCDay(),
+    dateKey: local.toISOString().split('T')[0],
+    monthKey: `${year}-${String(month + 1).padStart(2, '0')}`,
+    zone
+  };
+}
+
+// A Date in the browser's zone showing the listener's wall clock, for code
+// that does calendar arithmetic with the usual local getters and setters
+export function toWallClockDate(value, settings) {
+  const { year, month, day, hour, minute } = getLocalParts(value, settings);
+  const seconds = new Date(value).getUTCSeconds();
+  return new Date(year, month, day, hour, minute, seconds);
+}
@@ -0,0 +1,227 @@
+// Works out which plays are the same track, using the strongest evidence a
+// play has, in this order:
+//   1. spotify_track_uri, which survives renames and reissued titles
+//   2. ISRC, shared by every service that exports it
+//   3. the normalized title and artist (see createMatchKey)
+//   4. a fuzzy title match with a confidence score, only between tracks heard
+//      on different services, since each service spells titles its own way
+// A play with a URI and an ISRC links the two. Groups under the same title
+// are one track, as one song is often released under several URIs, unless
+// their ISRCs differ: a remix or re-recording gets its own. Groups without an
+// ISRC join the one group under that title that has them; when there are
+// several they can't say which, so they stay apart. Fuzzy matches at or above
+// AUTO_MERGE_CONFIDENCE are merged unless the listener rejected them; weaker
+// ones down to REVIEW_CONFIDENCE wait for the listener to accept them
+
+export const AUTO_MERGE_CONFIDENCE = 0.9;
+export const REVIEW_CONFIDENCE = 0.7;
+
+// Artists with more tracks than this skip fuzzy matching, which compares every pair
+const MAX_FUZZY_GROUP_SIZE = 1500;
+
+// Only the most played candidates go to the review list
+const MAX_CANDIDATES = 200;
+
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, '');
+  const pairs = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const pair = compact.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return { pairs, size: Math.max(compact.length - 1, 0) };
+}
+
+// Dice coefficient of the two titles' character pairs, 0 to 1
+function titleSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.pairs.forEach((count, pair) => {
+    shared += Math.min(count, b.pairs.get(pair) || 0);
+  });
+  return (2 * shared) / (a.size + b.size);
+}
+
+function describeGroup(group) {
+  return {
+    trackName: group.track.trackName,
+    artist: group.track.artist,
+    sources: [...group.sources].sort(),
+    plays: group.plays
+  };
+}
+
+export function getMatchDecisionId(keyA, keyB) {
+  return keyA < keyB ? `${keyA}||${keyB}` : `${keyB}||${keyA}`;
+}
+
+// The id of the strongest evidence the play has
+function getEvidenceId(entry, matchKey) {
+  if (entry.spotify_track_uri) return `uri:${entry.spotify_track_uri}`;
+  const isrc = entry.master_metadata_external_ids?.isrc || entry.isrc;
+  if (isrc) return `isrc:${String(isrc).toUpperCase()}`;
+  return `name:${matchKey}`;
+}
+
+// decisions maps getMatchDecisionId of a candidate to 'accept' or 'reject'.
+// Call add() for every play with a track name, then finish() once, then
+// resolve() with a play and its match key to get its track id
+export function createTrackResolver(decisions = {}) {
+  const parent = new Map();
+  const tracks = new Map();
+
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    let node = id;
+    while (node !== root) {
+      const next = parent.get(node);
+      parent.set(node, root);
+      node = next;
+    }
+    return root;
+  };
+
+  // ISRCs seen under each root, kept up to date as groups are joined
+  const isrcsByRoot = new Map();
+
+  const union = (a, b) => {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return;
+    parent.set(rootB, rootA);
+    const isrcsB = isrcsByRoot.get(rootB);
+    if (isrcsB) {
+      if (!isrcsByRoot.has(rootA)) isrcsByRoot.set(rootA, new Set());
+      isrcsB.forEach(isrc => isrcsByRoot.get(rootA).add(isrc));
+      isrcsByRoot.delete(rootB);
+    }
+  };
+
+  const hasIsrc = (root) => Boolean(isrcsByRoot.get(root)?.size);
+
+  let candidates = [];
+
+  return {
+    add(entry, { matchKey, normTrack, normArtist }) {
+      const id = getEvidenceId(entry, matchKey);
+      union(id, id);
+      const isrc = entry.master_metadata_external_ids?.isrc || entry.isrc;
+      if (isrc) {
+        const isrcId = `isrc:${String(isrc).toUpperCase()}`;
+        union(isrcId, isrcId);
+        const root = find(isrcId);
+        if (!isrcsByRoot.has(root)) isrcsByRoot.set(root, new Set());
+        isrcsByRoot.get(root).add(isrcId);
+        union(id, isrcId);
+      }
+
+      // Spellings are kept per id and title, as one URI can carry several titles
+      const trackKey = `${id}|${matchKey}`;
+      if (!tracks.has(trackKey)) {
+        tracks.set(trackKey, {
+          id,
+          matchKey,
+          normTrack,
+          normArtist,
+          trackName: entry.master_metadata_track_name,
+          artist: entry.master_metadata_album_artist_name,
+          sources: new Set(),
+          plays: 0
+        });
+      }
+      const track = tracks.get(trackKey);
+      track.sources.add(entry.source || 'spotify');
+      track.plays++;
+    },
+
+    finish() {
+      // Join the groups under each title unless their ISRCs differ
+      const idsByKey = new Map();
+      tracks.forEach(track => {
+        if (!idsByKey.has(track.matchKey)) idsByKey.set(track.matchKey, []);
+        idsByKey.get(track.matchKey).push(track.id);
+      });
+      idsByKey.forEach(ids => {
+        const roots = [...new Set(ids.map(find))];
+        const withIsrc = roots.filter(hasIsrc);
+        const withoutIsrc = roots.filter(root => !hasIsrc(root));
+        withoutIsrc.forEach(root => union(withoutIsrc[0], root));
+        if (withIsrc.length === 1 && withoutIsrc.length > 0) union(withIsrc[0], withoutIsrc[0]);
+      });
+
+      // Gather the exactly-matched groups, bucketed by artist
+      const groups = new Map();
+      tracks.forEach(track => {
+        const root = find(track.id);
+        if (!groups.has(root)) {
+          groups.set(root, { root, key: track.matchKey, keys: new Set(), track, sources: new Set(), plays: 0 });
+        }
+        const group = groups.get(root);
+        group.keys.add(track.matchKey);
+        track.sources.forEach(source => group.sources.add(source));
+        group.plays += track.plays;
+        // The most played spelling represents the group
+        if (track.plays > group.track.plays) group.track = track;
+        if (track.matchKey < group.key) group.key = track.matchKey;
+      });
+
+      const byArtist = new Map();
+      groups.forEach(group => {
+        const artist = group.track.normArtist;
+        if (!artist || !group.track.normTrack) return;
+        if (!byArtist.has(artist)) byArtist.set(artist, []);
+        byArtist.get(artist).push(group);
+      });
+
+      const found = [];
+      byArtist.forEach(artistGroups => {
+        if (artistGroups.length < 2 || artistGroups.length > MAX_FUZZY_GROUP_SIZE) return;
+        artistGroups.forEach(group => {
+          group.bigrams = bigrams(group.track.normTrack);
+        });
+        for (let i = 0; i < artistGroups.length; i++) {
+          for (let j = i + 1; j < artistGroups.length; j++) {
+            const a = artistGroups[i];
+            const b = artistGroups[j];
+            if ([...a.sources].some(source => b.sources.has(source))) continue;
+            // Tracks under the same title were kept apart above on purpose
+            if ([...a.keys].some(key => b.keys.has(key))) continue;
+            const confidence = titleSimilarity(a.bigrams, b.bigrams);
+            if (confidence >= REVIEW_CONFIDENCE) found.push({ a, b, confidence });
+          }
+        }
+      });
+
+      candidates = found.map(({ a, b, confidence }) => {
+        const id = getMatchDecisionId(a.key, b.key);
+        const decision = decisions[id] || null;
+        const merged = decision === 'accept' || (decision !== 'reject' && confidence >= AUTO_MERGE_CONFIDENCE);
+        if (merged) union(a.root, b.root);
+
+        return {
+          id,
+          confidence: Math.round(confidence * 100) / 100,
+          decision,
+          merged,
+          a: describeGroup(a),
+          b: describeGroup(b)
+        };
+      })
+        .sort((x, y) => (y.a.plays + y.b.plays) - (x.a.plays + x.b.plays))
+        .slice(0, MAX_CANDIDATES);
+    },
+
+    // Plays added without an artist fall back to their own evidence id
+    resolve(entry, { matchKey }) {
+      const id = getEvidenceId(entry, matchKey);
+      return parent.has(id) ? find(id) : id;
+    },
+
+    getCandidates() {
+      return candidates;
+    }
+  };
+}
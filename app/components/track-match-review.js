@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { AUTO_MERGE_CONFIDENCE } from './track-identity.js';
+
+const PAGE_SIZE = 25;
+
+const describeStatus = (match) => {
+  if (match.decision === 'accept') return 'Merged (accepted)';
+  if (match.decision === 'reject') return 'Kept apart (rejected)';
+  return match.merged ? 'Merged automatically' : 'Needs review';
+};
+
+const TrackSide = ({ side }) => (
+  <div>
+    <div className="font-medium">{side.trackName}</div>
+    <div className="text-xs text-slate-500">
+      {side.artist} · {side.sources.join(', ')} · {side.plays} plays
+    </div>
+  </div>
+);
+
+// Lists the fuzzy matches between tracks from different services, so the
+// listener can accept a weak one or reject a wrong one. Decisions are saved
+// with the dataset and applied on the next analysis
+const TrackMatchReview = ({ matches = [], decisions = {}, onDecide, isApplying = false }) => {
+  const [showAll, setShowAll] = useState(false);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  if (matches.length === 0) {
+    return <p className="text-slate-600">No similar track titles across services.</p>;
+  }
+
+  const pendingCount = matches.filter(match => !match.merged && !match.decision).length;
+  const shown = showAll ? matches : matches.filter(match => !match.merged || match.decision);
+
+  const decide = (id, decision) => {
+    const next = { ...decisions };
+    if (decision) {
+      next[id] = decision;
+    } else {
+      delete next[id];
+    }
+    onDecide(next);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-slate-600 text-sm">
+        Tracks heard on different services with similar titles by the same artist. Matches
+        of {Math.round(AUTO_MERGE_CONFIDENCE * 100)}% confidence or more are merged unless you
+        reject them; weaker ones are only merged once you accept them.
+        {pendingCount > 0 && ` ${pendingCount} need review.`}
+      </p>
+
+      <label className="flex items-center gap-2 text-sm text-slate-700">
+        <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+        Also show matches that were merged automatically
+      </label>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border border-slate-300 text-sm">
+          <thead>
+            <tr className="bg-slate-100 text-slate-700">
+              <th className="p-2 text-left">Track</th>
+              <th className="p-2 text-left">Possible match</th>
+              <th className="p-2 text-right">Confidence</th>
+              <th className="p-2 text-left">Status</th>
+              <th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.slice(0, visibleCount).map(match => (
+              <tr key={match.id} className="border-t border-slate-200 text-slate-700">
+                <td className="p-2"><TrackSide side={match.a} /></td>
+                <td className="p-2"><TrackSide side={match.b} /></td>
+                <td className="p-2 text-right">{Math.round(match.confidence * 100)}%</td>
+                <td className="p-2">{describeStatus(match)}</td>
+                <td className="p-2">
+                  <div className="flex flex-wrap gap-2">
+                    {match.decision ? (
+                      <button
+                        onClick={() => decide(match.id, null)}
+                        disabled={isApplying}
+                        className="px-2 py-0.5 bg-slate-200 rounded hover:bg-slate-300"
+                      >
+                        Undo
+                      </button>
+                    ) : (
+                      <>
+                        {!match.merged && (
+                          <button
+                            onClick={() => decide(match.id, 'accept')}
+                            disabled={isApplying}
+                            className="px-2 py-0.5 bg-slate-600 text-white rounded hover:bg-slate-700"
+                          >
+                            Accept
+                          </button>
+                        )}
+                        <button
+                          onClick={() => decide(match.id, 'reject')}
+                          disabled={isApplying}
+                          className="px-2 py-0.5 bg-red-100 text-red-700 rounded hover:bg-red-200"
+                        >
+                          Reject
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {shown.length > visibleCount && (
+        <button
+          onClick={() => setVisibleCount(count => count + PAGE_SIZE)}
+          className="text-slate-600 hover:text-slate-800 text-sm"
+        >
+          Show more ({shown.length - visibleCount} remaining)
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TrackMatchReview;
@@ -0,0 +1,133 @@
+import { hasValidTimestamp } from './streaming-adapter.js';
+import { getLocalParts } from './timezone.js';
+
+// Runs of plays from a country other than home become trips. A handful of
+// foreign plays is more likely a VPN or a connection blip than a journey
+const MIN_TRIP_PLAYS = 5;
+const TOP_ARTISTS_PER_TRIP = 5;
+
+// One likely timezone per country; for countries spanning several zones this is
+// the most populous one, and the Trips tab lets the user pick another
+export const COUNTRY_TIMEZONES = {
+  AE: 'Asia/Dubai', AR: 'America/Argentina/Buenos_Aires', AT: 'Europe/Vienna', AU: 'Australia/Sydney',
+  BE: 'Europe/Brussels', BG: 'Europe/Sofia', BR: 'America/Sao_Paulo', CA: 'America/Toronto',
+  CH: 'Europe/Zurich', CL: 'America/Santiago', CN: 'Asia/Shanghai', CO: 'America/Bogota',
+  CY: 'Asia/Nicosia', CZ: 'Europe/Prague', DE: 'Europe/Berlin', DK: 'Europe/Copenhagen',
+  EE: 'Europe/Tallinn', EG: 'Africa/Cairo', ES: 'Europe/Madrid', FI: 'Europe/Helsinki',
+  FR: 'Europe/Paris', GB: 'Europe/London', GR: 'Europe/Athens', HK: 'Asia/Hong_Kong',
+  HR: 'Europe/Zagreb', HU: 'Europe/Budapest', ID: 'Asia/Jakarta', IE: 'Europe/Dublin',
+  IL: 'Asia/Jerusalem', IN: 'Asia/Kolkata', IS: 'Atlantic/Reykjavik', IT: 'Europe/Rome',
+  JP: 'Asia/Tokyo', KR: 'Asia/Seoul', LT: 'Europe/Vilnius', LU: 'Europe/Luxembourg',
+  LV: 'Europe/Riga', MA: 'Africa/Casablanca', MT: 'Europe/Malta', MX: 'America/Mexico_City',
+  MY: 'Asia/Kuala_Lumpur', NG: 'Africa/Lagos', NL: 'Europe/Amsterdam', NO: 'Europe/Oslo',
+  NZ: 'Pacific/Auckland', PE: 'America/Lima', PH: 'Asia/Manila', PL: 'Europe/Warsaw',
+  PT: 'Europe/Lisbon', RO: 'Europe/Bucharest', RS: 'Europe/Belgrade', RU: 'Europe/Moscow',
+  SA: 'Asia/Riyadh', SE: 'Europe/Stockholm', SG: 'Asia/Singapore', SI: 'Europe/Ljubljana',
+  SK: 'Europe/Bratislava', TH: 'Asia/Bangkok', TR: 'Europe/Istanbul', TW: 'Asia/Taipei',
+  UA: 'Europe/Kyiv', US: 'America/New_York', UY: 'America/Montevideo', VN: 'Asia/Ho_Chi_Minh',
+  ZA: 'Africa/Johannesburg'
+};
+
+export function getCountryName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'region' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+// The date on the wall clock of zone; overrides read their dates in their own
+// zone, so a trip's dates have to be the trip's local ones to cover its edges
+function toDateKey(time, zone) {
+  return getLocalParts(time, { defaultZone: zone || 'UTC', overrides: [] }).dateKey;
+}
+
+function buildTrip(country, plays) {
+  const artistCounts = {};
+  plays.forEach(play => {
+    const artist = play.master_metadata_album_artist_name;
+    if (artist) artistCounts[artist] = (artistCounts[artist] || 0) + 1;
+  });
+
+  const start = plays[0].time;
+  const end = plays[plays.length - 1].time;
+  const proposedZone = COUNTRY_TIMEZONES[country] || null;
+  return {
+    // Ids stay on the UTC date so trips confirmed earlier keep their override
+    id: `${country}-${toDateKey(start, 'UTC')}`,
+    country,
+    countryName: getCountryName(country),
+    start: new Date(start),
+    end: new Date(end),
+    startDate: toDateKey(start, proposedZone),
+    endDate: toDateKey(end, proposedZone),
+    plays: plays.length,
+    totalMs: plays.reduce((sum, play) => sum + (play.ms_played || 0), 0),
+    proposedZone,
+    topArtists: Object.entries(artistCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_ARTISTS_PER_TRIP)
+      .map(([name, count]) => ({ name, plays: count }))
+  };
+}
+
+// Home is the country most plays come from; every other run of plays from
+// one country, long enough to count, is a trip
+export function detectTrips(entries) {
+  const plays = entries
+    .filter(entry => entry.conn_country && hasValidTimestamp(entry))
+    .map(entry => ({
+      time: new Date(entry.ts).getTime(),
+      country: String(entry.conn_country).toUpperCase(),
+      ms_played: entry.ms_played,
+      master_metadata_album_artist_name: entry.master_metadata_album_artist_name
+    }))
+    .sort((a, b) => a.time - b.time);
+
+  if (plays.length === 0) {
+    return { homeCountry: null, trips: [] };
+  }
+
+  const countryCounts = {};
+  plays.forEach(play => {
+    countryCounts[play.country] = (countryCounts[play.country] || 0) + 1;
+  });
+  const homeCountry = Object.entries(countryCounts).sort((a, b) => b[1] - a[1])[0][0];
+
+  const trips = [];
+  let run = null;
+  const closeRun = () => {
+    if (run && run.plays.length >= MIN_TRIP_PLAYS) {
+      trips.push(buildTrip(run.country, run.plays));
+    }
+    run = null;
+  };
+
+  plays.forEach(play => {
+    if (play.country === homeCountry) {
+      closeRun();
+      return;
+    }
+    if (run && run.country !== play.country) {
+      closeRun();
+    }
+    if (!run) {
+      run = { country: play.country, plays: [] };
+    }
+    run.plays.push(play);
+  });
+  closeRun();
+
+  return { homeCountry, trips };
+}
+
+// A confirmed trip becomes a timezone override; tripId ties the two together.
+// The dates are read in the zone chosen, which may not be the proposed one
+export function tripToOverride(trip, zone) {
+  return {
+    start: toDateKey(trip.start, zone),
+    end: toDateKey(trip.end, zone),
+    zone,
+    tripId: trip.id
+  };
+}
@@ -0,0 +1,47 @@
+import { detectTrips, tripToOverride } from './travel-detector.js';
+import { getZoneForTime } from './timezone.js';
+
+// Trips whose first and last plays fall on a different date at home than
+// where they were played. There is no test runner, so run
+// checkTripEdgeRegressions() from the browser console (or any script that can
+// import this module) after touching travel-detector.js or the override ranges
+// in timezone.js; it returns the plays that miss their trip's override
+const HOME = { country: 'GB', zone: 'Europe/London' };
+
+export const TRIP_EDGE_REGRESSIONS = [
+  {
+    note: 'First play of a US trip is the evening before in New York',
+    country: 'US',
+    plays: ['2020-03-01T02:00:00Z', '2020-03-01T15:00:00Z', '2020-03-02T15:00:00Z', '2020-03-03T15:00:00Z', '2020-03-04T15:00:00Z']
+  },
+  {
+    note: 'Last play of a Japan trip is the next morning in Tokyo',
+    country: 'JP',
+    plays: ['2020-04-02T03:00:00Z', '2020-04-03T03:00:00Z', '2020-04-04T03:00:00Z', '2020-04-05T03:00:00Z', '2020-04-05T20:00:00Z']
+  }
+];
+
+function toEntry(time, country) {
+  return { ts: time, conn_country: country, ms_played: 180000, master_metadata_album_artist_name: 'Artist' };
+}
+
+export function checkTripEdgeRegressions() {
+  return TRIP_EDGE_REGRESSIONS.flatMap(testCase => {
+    // Plays at home either side keep the trip a run of its own
+    const entries = [
+      ...['2020-01-01T12:00:00Z', '2020-01-02T12:00:00Z', '2020-06-01T12:00:00Z', '2020-06-02T12:00:00Z',
+        '2020-06-03T12:00:00Z', '2020-06-04T12:00:00Z', '2020-06-05T12:00:00Z', '2020-06-06T12:00:00Z',
+        '2020-06-07T12:00:00Z', '2020-06-08T12:00:00Z', '2020-06-09T12:00:00Z']
+        .map(time => toEntry(time, HOME.country)),
+      ...testCase.plays.map(time => toEntry(time, testCase.country))
+    ];
+    const trip = detectTrips(entries).trips.find(candidate => candidate.country === testCase.country);
+    if (!trip) return [{ ...testCase, problem: 'No trip detected' }];
+
+    const settings = { defaultZone: HOME.zone, overrides: [tripToOverride(trip, trip.proposedZone)] };
+    return testCase.plays
+      .map(time => ({ time, zone: getZoneForTime(settings, new Date(time).getTime()) }))
+      .filter(({ zone }) => zone !== trip.proposedZone)
+      .map(({ time, zone }) => ({ ...testCase, problem: `${time} resolved to ${zone}` }));
+  });
+}
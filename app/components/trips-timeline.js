@@ -0,0 +1,177 @@
+import React, { useState, useMemo } from 'react';
+import { detectTrips, getCountryName, tripToOverride } from './travel-detector.js';
+import { createTimezoneSettings, getTimeZoneOptions } from './timezone.js';
+
+const TripsTimeline = ({ rawPlayData = [], formatDuration, timezoneSettings = null, onTimezoneChange, isApplying = false }) => {
+  const [zoneChoices, setZoneChoices] = useState({});
+  const [message, setMessage] = useState(null);
+  const zoneOptions = useMemo(() => getTimeZoneOptions(), []);
+
+  const { homeCountry, trips } = useMemo(() => detectTrips(rawPlayData), [rawPlayData]);
+
+  // Full span of the history, for placing trips on the timeline bar
+  const range = useMemo(() => {
+    let start = null;
+    let end = null;
+    rawPlayData.forEach(entry => {
+      const time = new Date(entry.ts).getTime();
+      if (start === null || time < start) start = time;
+      if (end === null || time > end) end = time;
+    });
+    return start === null ? null : { start, end };
+  }, [rawPlayData]);
+
+  const settings = timezoneSettings || createTimezoneSettings();
+  const confirmedZones = {};
+  settings.overrides.forEach(override => {
+    if (override.tripId) confirmedZones[override.tripId] = override.zone;
+  });
+
+  const getZone = (trip) => zoneChoices[trip.id] || confirmedZones[trip.id] || trip.proposedZone || '';
+
+  const applyTrips = (tripsToConfirm, tripsToRemove = []) => {
+    const changedIds = new Set([...tripsToConfirm, ...tripsToRemove].map(trip => trip.id));
+    const overrides = settings.overrides.filter(override => !changedIds.has(override.tripId));
+    tripsToConfirm.forEach(trip => overrides.push(tripToOverride(trip, getZone(trip))));
+    onTimezoneChange({ ...settings, overrides });
+  };
+
+  const confirmTrip = (trip) => {
+    if (!getZone(trip)) {
+      setMessage(`Choose a timezone for the trip to ${trip.countryName} first.`);
+      return;
+    }
+    setMessage(null);
+    applyTrips([trip]);
+  };
+
+  const confirmAll = () => {
+    const withZone = trips.filter(trip => getZone(trip));
+    const missing = trips.length - withZone.length;
+    setMessage(missing > 0 ? `${missing} trips need a timezone chosen before they can be confirmed.` : null);
+    if (withZone.length > 0) applyTrips(withZone);
+  };
+
+  if (trips.length === 0) {
+    return (
+      <p className="text-cyan-700">
+        {homeCountry
+          ? `No trips found: all plays come from ${getCountryName(homeCountry)}, apart from short blips.`
+          : 'No country information in this data. Only the Spotify extended streaming history includes it.'}
+      </p>
+    );
+  }
+
+  const span = range ? Math.max(range.end - range.start, 1) : 1;
+
+  return (
+    <div className="space-y-4 text-cyan-700">
+      <p className="text-sm">
+        Home is {getCountryName(homeCountry)}. Plays from anywhere else are grouped into {trips.length} trips.
+        Confirming a trip adds a timezone override for its dates, so the listening patterns use local time there.
+      </p>
+
+      {range && (
+        <div>
+          <div className="relative h-6 bg-cyan-50 border border-cyan-300 rounded">
+            {trips.map(trip => (
+              <div
+                key={trip.id}
+                title={`${trip.countryName}: ${trip.startDate} to ${trip.endDate}`}
+                className={`absolute top-0 h-full ${confirmedZones[trip.id] ? 'bg-cyan-600' : 'bg-cyan-300'}`}
+                style={{
+                  left: `${((trip.start - range.start) / span) * 100}%`,
+                  width: `${Math.max(((trip.end - trip.start) / span) * 100, 0.5)}%`
+                }}
+              />
+            ))}
+          </div>
+          <div className="flex justify-between text-xs mt-1">
+            <span>{new Date(range.start).toLocaleDateString()}</span>
+            <span>{new Date(range.end).toLocaleDateString()}</span>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={confirmAll}
+          disabled={isApplying}
+          className="px-3 py-1 bg-cyan-600 text-white rounded hover:bg-cyan-700 disabled:bg-cyan-400"
+        >
+          Confirm all trips
+        </button>
+        {isApplying && <span className="text-sm">Updating analysis...</span>}
+      </div>
+
+      {message && <div className="text-sm text-red-600">{message}</div>}
+
+      <div className="space-y-3">
+        {trips.map(trip => {
+          const isConfirmed = Boolean(confirmedZones[trip.id]);
+          return (
+            <div key={trip.id} className="p-3 bg-white rounded border border-cyan-300">
+              <div className="flex flex-wrap justify-between gap-2">
+                <div>
+                  <div className="font-semibold">{trip.countryName}</div>
+                  <div className="text-sm">
+                    {trip.start.toLocaleDateString()} - {trip.end.toLocaleDateString()}
+                    {' · '}{trip.plays} plays{' · '}{formatDuration(trip.totalMs)}
+                  </div>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <select
+                    value={getZone(trip)}
+                    onChange={(e) => setZoneChoices(prev => ({ ...prev, [trip.id]: e.target.value }))}
+                    className="border rounded px-2 py-1 text-sm"
+                  >
+                    <option value="">Choose a timezone</option>
+                    {zoneOptions.map(zone => (
+                      <option key={zone} value={zone}>{zone}</option>
+                    ))}
+                  </select>
+                  {isConfirmed ? (
+                    <>
+                      {zoneChoices[trip.id] && zoneChoices[trip.id] !== confirmedZones[trip.id] && (
+                        <button
+                          onClick={() => confirmTrip(trip)}
+                          disabled={isApplying}
+                          className="px-3 py-1 bg-cyan-600 text-white rounded hover:bg-cyan-700 text-sm"
+                        >
+                          Update
+                        </button>
+                      )}
+                      <button
+                        onClick={() => applyTrips([], [trip])}
+                        disabled={isApplying}
+                        className="px-3 py-1 bg-cyan-100 rounded hover:bg-cyan-200 text-sm"
+                      >
+                        Confirmed - undo
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => confirmTrip(trip)}
+                      disabled={isApplying}
+                      className="px-3 py-1 bg-cyan-600 text-white rounded hover:bg-cyan-700 text-sm"
+                    >
+                      Confirm
+                    </button>
+                  )}
+                </div>
+              </div>
+              {trip.topArtists.length > 0 && (
+                <div className="text-sm mt-2">
+                  <span className="font-semibold">Top artists:</span>{' '}
+                  {trip.topArtists.map(artist => `${artist.name} (${artist.plays})`).join(', ')}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TripsTimeline;